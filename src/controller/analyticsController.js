@@ -0,0 +1,237 @@
+const Transaction = require('../models/Transaction');
+const { BASE_AMOUNT_EXPRESSION } = require('../utils/currency');
+const { SPENDING_FILTER, buildTransactionFilter, parseQueryBoolean } = require('../utils/transactionQuery');
+const { DAY_IN_MS, isValidTimeZone } = require('../utils/common');
+
+const GROUP_FIELDS = {
+  category: '$category',
+  payment_method: '$payment_method',
+  merchant: '$name',
+};
+
+const DEFAULT_RANGE_DAYS = {
+  summary: 30,
+  day: 30,
+  week: 84,
+  month: 365,
+};
+
+const roundAmount = (value) => Number((value || 0).toFixed(2));
+
+const resolveRange = (query, defaultDays) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * DAY_IN_MS);
+
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  const length = to.getTime() - from.getTime();
+  return {
+    current: { from, to },
+    previous: { from: new Date(from.getTime() - length - 1), to: new Date(from.getTime() - 1) },
+  };
+};
+
+const buildRangeFilter = (userId, query, range) =>
+  buildTransactionFilter(userId, { ...query, from: range.from.toISOString(), to: range.to.toISOString() });
+
+// Spending views cover spending unless the client asks for other types.
+const buildSpendingFilter = (userId, query, range) => {
+  const result = buildRangeFilter(userId, query, range);
+  if (!result.error && typeof query.type === 'undefined') {
+    Object.assign(result.filter, SPENDING_FILTER);
+  }
+  return result;
+};
+
+const computeChange = (current, previous) => ({
+  current: roundAmount(current),
+  previous: roundAmount(previous),
+  change: roundAmount(current - previous),
+  changePercent: previous ? Number((((current - previous) / previous) * 100).toFixed(2)) : null,
+});
+
+const buildCashFlowEntry = (income, expenses) => ({
+  income: roundAmount(income),
+  expenses: roundAmount(expenses),
+  net: roundAmount(income - expenses),
+  savingsRate: income > 0 ? Number((((income - expenses) / income) * 100).toFixed(2)) : null,
+});
+
+const aggregateGroups = (filter, groupField) =>
+  Transaction.aggregate([
+    { $match: filter },
+    { $group: { _id: groupField, total: { $sum: BASE_AMOUNT_EXPRESSION }, count: { $sum: 1 } } },
+    { $sort: { total: -1 } },
+  ]);
+
+const aggregateTotal = async (filter) => {
+  const [result] = await Transaction.aggregate([
+    { $match: filter },
+    { $group: { _id: null, total: { $sum: BASE_AMOUNT_EXPRESSION }, count: { $sum: 1 } } },
+  ]);
+  return result || { total: 0, count: 0 };
+};
+
+const aggregateSeries = (filter, interval, timezone) =>
+  Transaction.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: '$transaction_date',
+            unit: interval,
+            timezone,
+            startOfWeek: 'monday',
+          },
+        },
+        total: { $sum: BASE_AMOUNT_EXPRESSION },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+exports.getSpendingSummary = async (req, res, next) => {
+  try {
+    const { query } = req;
+    const groupBy = query.group_by || 'category';
+    const groupField = GROUP_FIELDS[groupBy];
+
+    const range = resolveRange(query, DEFAULT_RANGE_DAYS.summary);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const current = buildSpendingFilter(req.user._id, query, range.current);
+    if (current.error) {
+      return res.status(400).json({ message: current.error });
+    }
+
+    const compare = parseQueryBoolean(query.compare) === true;
+    const previous = compare ? buildSpendingFilter(req.user._id, query, range.previous) : null;
+
+    const [groups, previousGroups] = await Promise.all([
+      aggregateGroups(current.filter, groupField),
+      previous ? aggregateGroups(previous.filter, groupField) : [],
+    ]);
+
+    const previousTotals = new Map(previousGroups.map((group) => [group._id, group.total]));
+    const total = groups.reduce((sum, group) => sum + group.total, 0);
+    const previousTotal = previousGroups.reduce((sum, group) => sum + group.total, 0);
+
+    return res.json({
+      currency: req.user.baseCurrency,
+      groupBy,
+      range: range.current,
+      total: roundAmount(total),
+      groups: groups.map((group) => ({
+        key: group._id,
+        total: roundAmount(group.total),
+        count: group.count,
+        share: total ? Number(((group.total / total) * 100).toFixed(2)) : 0,
+        ...(compare ? { comparison: computeChange(group.total, previousTotals.get(group._id) || 0) } : {}),
+      })),
+      ...(compare ? { previousRange: range.previous, comparison: computeChange(total, previousTotal) } : {}),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getSpendingTimeSeries = async (req, res, next) => {
+  try {
+    const { query } = req;
+    const interval = query.interval || 'day';
+    const timezone = query.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone provided' });
+    }
+
+    const range = resolveRange(query, DEFAULT_RANGE_DAYS[interval]);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const current = buildSpendingFilter(req.user._id, query, range.current);
+    if (current.error) {
+      return res.status(400).json({ message: current.error });
+    }
+
+    const compare = parseQueryBoolean(query.compare) === true;
+    const previous = compare ? buildSpendingFilter(req.user._id, query, range.previous) : null;
+
+    const [series, previousSummary] = await Promise.all([
+      aggregateSeries(current.filter, interval, timezone),
+      previous ? aggregateTotal(previous.filter) : null,
+    ]);
+
+    const total = series.reduce((sum, bucket) => sum + bucket.total, 0);
+
+    return res.json({
+      currency: req.user.baseCurrency,
+      interval,
+      timezone,
+      range: range.current,
+      total: roundAmount(total),
+      series: series.map((bucket) => ({
+        bucket: bucket._id,
+        total: roundAmount(bucket.total),
+        count: bucket.count,
+      })),
+      ...(compare
+        ? { previousRange: range.previous, comparison: computeChange(total, previousSummary.total) }
+        : {}),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getCashFlow = async (req, res, next) => {
+  try {
+    const timezone = req.query.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone provided' });
+    }
+
+    const range = resolveRange(req.query, DEFAULT_RANGE_DAYS.month);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const current = buildRangeFilter(req.user._id, { ...req.query, type: undefined }, range.current);
+    if (current.error) {
+      return res.status(400).json({ message: current.error });
+    }
+
+    const months = await Transaction.aggregate([
+      { $match: { ...current.filter, type: { $in: ['debit', 'credit', null] } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m', date: '$transaction_date', timezone } },
+          income: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, BASE_AMOUNT_EXPRESSION, 0] } },
+          expenses: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, 0, BASE_AMOUNT_EXPRESSION] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const totals = months.reduce(
+      (acc, month) => ({ income: acc.income + month.income, expenses: acc.expenses + month.expenses }),
+      { income: 0, expenses: 0 }
+    );
+
+    return res.json({
+      currency: req.user.baseCurrency,
+      timezone,
+      range: range.current,
+      months: months.map((month) => ({ month: month._id, ...buildCashFlowEntry(month.income, month.expenses) })),
+      totals: buildCashFlowEntry(totals.income, totals.expenses),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,38 @@
+const { findAuditPage } = require('../utils/audit');
+
+const buildAuditFilter = (query) => {
+  const conditions = [];
+
+  if (query.user) {
+    conditions.push({ $or: [{ user: query.user }, { actor: query.user }] });
+  }
+  ['resourceType', 'resource', 'action', 'requestId'].forEach((field) => {
+    if (query[field]) {
+      conditions.push({ [field]: query[field] });
+    }
+  });
+  if (query.from || query.to) {
+    conditions.push({
+      createdAt: {
+        ...(query.from ? { $gte: new Date(query.from) } : {}),
+        ...(query.to ? { $lte: new Date(query.to) } : {}),
+      },
+    });
+  }
+
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// Support view across all users: `user` matches both the resource owner and the actor.
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    const page = await findAuditPage(buildAuditFilter(req.query), req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    return res.json(page);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,16 +1,20 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const bcrypt = require('bcrypt');
 const User = require('../models/User');
-
-const parsePositiveNumber = (value, fallback) => {
-  const parsed = Number(value);
-  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
-};
+const LoginAttempt = require('../models/LoginAttempt');
+const { normalizeCurrency, recomputeBaseAmounts } = require('../utils/currency');
+const { hashToken, issueAuthToken, consumeAuthToken } = require('../utils/authTokens');
+const { sendMail, templates: mailTemplates } = require('../utils/mail');
+const { getLoginLock, recordLoginFailure, clearLoginFailures, respondLocked } = require('../utils/loginThrottle');
+const { signChallenge, verifyChallenge, verifySecondFactor } = require('../utils/twoFactor');
+const { DAY_IN_MS, parsePositiveNumber } = require('../utils/common');
 
 const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
 const REFRESH_TOKEN_TTL_DAYS = parsePositiveNumber(process.env.JWT_REFRESH_DAYS, 30);
 const MAX_REFRESH_TOKENS = parsePositiveNumber(process.env.JWT_REFRESH_MAX_TOKENS, 5);
-const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_HOURS = parsePositiveNumber(process.env.EMAIL_VERIFICATION_TTL_HOURS, 24);
+const PASSWORD_RESET_TTL_MINUTES = parsePositiveNumber(process.env.PASSWORD_RESET_TTL_MINUTES, 30);
 
 const ensureJwtSecret = () => {
   if (!process.env.JWT_SECRET) {
@@ -19,50 +23,85 @@ const ensureJwtSecret = () => {
   return process.env.JWT_SECRET;
 };
 
-const signAccessToken = (userId) =>
-  jwt.sign({ id: userId }, ensureJwtSecret(), {
+const MAX_ROTATED_TOKENS = 50;
+const USER_AGENT_MAX_LENGTH = 256;
+
+// The session id (refresh-token family) is embedded so revoked sessions can be rejected.
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, ensureJwtSecret(), {
     expiresIn: ACCESS_TOKEN_EXPIRES_IN,
   });
 
 const generateRefreshTokenValue = () => crypto.randomBytes(40).toString('hex');
 
-const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateFamilyId = () => crypto.randomUUID();
 
 const buildUserPayload = (user) => ({
   id: user._id,
   name: user.name,
   email: user.email,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  baseCurrency: user.baseCurrency,
+  role: user.role,
+});
+
+// Tokens issued before session tracking have no family; their own id stands in for it.
+const getSessionId = (entry) => entry.family || String(entry._id);
+
+const readDeviceMetadata = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, USER_AGENT_MAX_LENGTH) || undefined,
+  ip: req.ip,
 });
 
 const pruneExpiredTokens = (user) => {
   const now = Date.now();
   user.refreshTokens = user.refreshTokens.filter((entry) => entry.expiresAt.getTime() > now);
+  user.rotatedRefreshTokens = user.rotatedRefreshTokens
+    .filter((entry) => entry.expiresAt.getTime() > now)
+    .slice(-MAX_ROTATED_TOKENS);
 };
 
 const enforceTokenLimit = (user) => {
-  if (user.refreshTokens.length <= MAX_REFRESH_TOKENS) {
+  if (user.refreshTokens.length < MAX_REFRESH_TOKENS) {
     return;
   }
 
-  const excess = user.refreshTokens.length - MAX_REFRESH_TOKENS;
+  const excess = user.refreshTokens.length - MAX_REFRESH_TOKENS + 1;
   user.refreshTokens.splice(0, excess);
 };
 
-const attachRefreshToken = (user, refreshTokenValue) => {
+const attachRefreshToken = (user, refreshTokenValue, session) => {
   const hashed = hashToken(refreshTokenValue);
   const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_IN_MS);
-  user.refreshTokens.push({ token: hashed, expiresAt });
+  user.refreshTokens.push({
+    token: hashed,
+    expiresAt,
+    family: session.family,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    lastUsedAt: new Date(),
+    createdAt: session.createdAt,
+  });
 };
 
-const issueTokensForUser = async (user) => {
+// Starts a new session when no family is given; otherwise continues a rotated one.
+const issueTokensForUser = async (user, req, previous = null) => {
   pruneExpiredTokens(user);
-  enforceTokenLimit(user);
+  if (!previous) {
+    enforceTokenLimit(user);
+  }
 
+  const session = {
+    family: previous ? getSessionId(previous) : generateFamilyId(),
+    createdAt: previous ? previous.createdAt : new Date(),
+    ...readDeviceMetadata(req),
+  };
   const refreshToken = generateRefreshTokenValue();
-  attachRefreshToken(user, refreshToken);
+  attachRefreshToken(user, refreshToken, session);
   await user.save();
 
-  const accessToken = signAccessToken(user._id);
+  const accessToken = signAccessToken(user._id, session.family);
   return { accessToken, refreshToken };
 };
 
@@ -72,6 +111,45 @@ const removeRefreshToken = (user, hashedToken) => {
   return initialLength !== user.refreshTokens.length;
 };
 
+const rotateRefreshToken = (user, storedToken) => {
+  removeRefreshToken(user, storedToken.token);
+  user.rotatedRefreshTokens.push({
+    token: storedToken.token,
+    family: getSessionId(storedToken),
+    expiresAt: storedToken.expiresAt,
+  });
+};
+
+const revokeTokenFamily = (user, family) => {
+  const initialLength = user.refreshTokens.length;
+  user.refreshTokens = user.refreshTokens.filter((entry) => getSessionId(entry) !== family);
+  user.rotatedRefreshTokens = user.rotatedRefreshTokens.filter((entry) => entry.family !== family);
+  return initialLength !== user.refreshTokens.length;
+};
+
+const buildSessionResponse = (entry, currentSessionId) => ({
+  id: getSessionId(entry),
+  userAgent: entry.userAgent || null,
+  ip: entry.ip || null,
+  createdAt: entry.createdAt,
+  lastUsedAt: entry.lastUsedAt || entry.createdAt,
+  expiresAt: entry.expiresAt,
+  current: getSessionId(entry) === currentSessionId,
+});
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await sendMail(mailTemplates.verificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS));
+};
+
+// Compared against when the email is unknown so both paths take the same time.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const recordLoginAttempt = (user, req, reason) =>
+  LoginAttempt.create({ user: user._id, reason, ...readDeviceMetadata(req) }).catch((error) =>
+    console.error('Record login attempt error:', error)
+  );
+
 const respondWithTokens = (res, statusCode, message, user, tokens) =>
   res.status(statusCode).json({
     message,
@@ -81,68 +159,127 @@ const respondWithTokens = (res, statusCode, message, user, tokens) =>
     user: buildUserPayload(user),
   });
 
-exports.signup = async (req, res) => {
+exports.signup = async (req, res, next) => {
   try {
     const { name, email, password } = req.body;
 
-    if (!name || !email || !password) {
-      return res.status(400).json({ message: 'Name, email and password are required' });
-    }
-
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(409).json({ message: 'Email already in use' });
     }
 
     const user = await User.create({ name: name.trim(), email, password });
-    const tokens = await issueTokensForUser(user);
+    const tokens = await issueTokensForUser(user, req);
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     return respondWithTokens(res, 201, 'User created successfully', user, tokens);
   } catch (error) {
-    console.error('Signup error:', error);
-    return res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.login = async (req, res) => {
+exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password are required' });
-    }
-
+    const lock = await getLoginLock(email);
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+
+    if (lock) {
+      if (user) {
+        await recordLoginAttempt(user, req, 'locked');
+      }
+      return respondLocked(res, lock);
     }
 
-    const isMatch = await user.comparePassword(password);
+    const isMatch = user ? await user.comparePassword(password) : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      const lockedUntil = await recordLoginFailure(email);
+      if (user) {
+        await recordLoginAttempt(user, req, 'invalid_password');
+      }
+      return lockedUntil ? respondLocked(res, lockedUntil) : res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user._id),
+      });
     }
 
-    const tokens = await issueTokensForUser(user);
+    await clearLoginFailures(email);
+    const tokens = await issueTokensForUser(user, req);
 
     return respondWithTokens(res, 200, 'Login successful', user, tokens);
   } catch (error) {
-    console.error('Login error:', error);
-    return res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.refreshAccessToken = async (req, res) => {
+exports.verifyTwoFactorLogin = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'A code or recoveryCode is required' });
+    }
+
+    const userId = verifyChallenge(challengeToken);
+    const user = userId ? await User.findById(userId) : null;
 
-    if (!refreshToken) {
-      return res.status(400).json({ message: 'Refresh token is required' });
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Two-factor challenge is invalid or has expired' });
     }
 
+    const lock = await getLoginLock(user.email);
+    if (lock) {
+      await recordLoginAttempt(user, req, 'locked');
+      return respondLocked(res, lock);
+    }
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      const lockedUntil = await recordLoginFailure(user.email);
+      await recordLoginAttempt(user, req, 'invalid_two_factor');
+      return lockedUntil
+        ? respondLocked(res, lockedUntil)
+        : res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    await clearLoginFailures(user.email);
+    const tokens = await issueTokensForUser(user, req);
+
+    return respondWithTokens(res, 200, 'Login successful', user, tokens);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.refreshAccessToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
     const hashedToken = hashToken(refreshToken);
     const user = await User.findOne({ 'refreshTokens.token': hashedToken });
 
     if (!user) {
+      // A rotated token being presented again means it was copied; end that whole session.
+      const compromisedUser = await User.findOne({ 'rotatedRefreshTokens.token': hashedToken });
+      if (compromisedUser) {
+        const rotated = compromisedUser.rotatedRefreshTokens.find((entry) => entry.token === hashedToken);
+        revokeTokenFamily(compromisedUser, rotated.family);
+        await compromisedUser.save();
+        console.warn(`Refresh token reuse detected for user ${compromisedUser._id}; session revoked`);
+        return res.status(401).json({ message: 'Refresh token reuse detected. Please log in again.' });
+      }
+
       return res.status(401).json({ message: 'Invalid refresh token' });
     }
 
@@ -153,24 +290,19 @@ exports.refreshAccessToken = async (req, res) => {
       return res.status(401).json({ message: 'Refresh token expired' });
     }
 
-    removeRefreshToken(user, hashedToken);
-    const tokens = await issueTokensForUser(user);
+    rotateRefreshToken(user, storedToken);
+    const tokens = await issueTokensForUser(user, req, storedToken);
 
     return respondWithTokens(res, 200, 'Token refreshed', user, tokens);
   } catch (error) {
-    console.error('Refresh token error:', error);
-    return res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.logout = async (req, res) => {
+exports.logout = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
 
-    if (!refreshToken) {
-      return res.status(400).json({ message: 'Refresh token is required' });
-    }
-
     const hashedToken = hashToken(refreshToken);
     const user = await User.findOne({ 'refreshTokens.token': hashedToken });
 
@@ -183,7 +315,206 @@ exports.logout = async (req, res) => {
 
     return res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Logout error:', error);
-    return res.status(500).json({ message: 'Server error' });
+    return next(error);
+  }
+};
+
+exports.getProfile = (req, res) => res.json({ user: buildUserPayload(req.user) });
+
+exports.updateProfile = async (req, res, next) => {
+  try {
+    const { name, base_currency: baseCurrency } = req.body;
+
+    if (typeof name === 'undefined' && typeof baseCurrency === 'undefined') {
+      return res.status(400).json({ message: 'No valid fields provided for update' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (typeof name !== 'undefined') {
+      user.name = name.trim();
+    }
+
+    let currencyChanged = false;
+    if (typeof baseCurrency !== 'undefined') {
+      const currency = normalizeCurrency(baseCurrency);
+      currencyChanged = currency !== user.baseCurrency;
+      user.baseCurrency = currency;
+    }
+
+    await user.save();
+
+    const transactionsRecomputed = currencyChanged ? await recomputeBaseAmounts(user._id, user.baseCurrency) : 0;
+
+    return res.json({ message: 'Profile updated successfully', user: buildUserPayload(user), transactionsRecomputed });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const entry = await consumeAuthToken(req.body.token, 'email_verification');
+    if (!entry) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(entry.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    return res.json({ message: 'Email verified successfully', user: buildUserPayload(user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    return res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // The response is identical whether or not the account exists.
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user) {
+      const token = await issueAuthToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      try {
+        await sendMail(mailTemplates.passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+      } catch (error) {
+        // Failing the request here would reveal that the account exists.
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    return res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const entry = await consumeAuthToken(token, 'password_reset');
+    if (!entry) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(entry.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.refreshTokens = [];
+    user.rotatedRefreshTokens = [];
+    // Receiving the reset link proves the user controls the mailbox.
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await clearLoginFailures(user.email);
+
+    return res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getSessions = async (req, res, next) => {
+  try {
+    const now = Date.now();
+    const sessions = req.user.refreshTokens
+      .filter((entry) => entry.expiresAt.getTime() > now)
+      .sort((a, b) => (b.lastUsedAt || b.createdAt) - (a.lastUsedAt || a.createdAt))
+      .map((entry) => buildSessionResponse(entry, req.sessionId));
+
+    return res.json({ sessions });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user || !revokeTokenFamily(user, req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await user.save();
+
+    return res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(400).json({ message: 'Current session could not be identified. Please log in again.' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const initialLength = user.refreshTokens.length;
+    user.refreshTokens = user.refreshTokens.filter((entry) => getSessionId(entry) === req.sessionId);
+    user.rotatedRefreshTokens = user.rotatedRefreshTokens.filter((entry) => entry.family === req.sessionId);
+    await user.save();
+
+    return res.json({
+      message: 'Other sessions revoked successfully',
+      revoked: initialLength - user.refreshTokens.length,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getLoginAttempts = async (req, res, next) => {
+  try {
+    const limit = Math.min(parsePositiveNumber(req.query.limit, 20), 100);
+    const attempts = await LoginAttempt.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(limit);
+
+    return res.json({
+      attempts: attempts.map((attempt) => ({
+        id: attempt._id,
+        reason: attempt.reason,
+        ip: attempt.ip || null,
+        userAgent: attempt.userAgent || null,
+        createdAt: attempt.createdAt,
+      })),
+    });
+  } catch (error) {
+    return next(error);
   }
 };
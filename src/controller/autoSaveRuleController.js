@@ -0,0 +1,157 @@
+const AutoSaveRule = require('../models/AutoSaveRule');
+const { findAccessibleGoal, canContribute } = require('../utils/goalAccess');
+
+const allowedFields = ['goal', 'name', 'type', 'trigger', 'roundTo', 'percentage', 'amount', 'category', 'isActive'];
+
+// The amount field each rule type reads from.
+const AMOUNT_FIELDS = {
+  round_up: { field: 'roundTo', message: 'roundTo must be a number of at least 1' },
+  percentage: { field: 'percentage', message: 'percentage must be between 0 and 100' },
+  fixed: { field: 'amount', message: 'amount must be a positive number' },
+};
+
+const sanitizePayload = (payload = {}) =>
+  allowedFields.reduce((acc, field) => {
+    if (typeof payload[field] !== 'undefined') {
+      acc[field] = payload[field];
+    }
+    return acc;
+  }, {});
+
+// The route schemas check each field; which amount field is needed depends on the type,
+// possibly the stored one.
+const normalizeRulePayload = (payload, existing = {}) => {
+  if (typeof payload.name === 'string') {
+    payload.name = payload.name.trim();
+  }
+
+  const merged = { ...existing, ...payload };
+  const { field, message } = AMOUNT_FIELDS[merged.type];
+  const value = merged[field];
+  if (typeof value !== 'number' || (merged.type !== 'round_up' && value === 0)) {
+    return message;
+  }
+
+  return null;
+};
+
+const buildRuleResponse = (rule) => ({
+  id: rule._id,
+  goal: rule.goal,
+  name: rule.name,
+  type: rule.type,
+  trigger: rule.trigger,
+  roundTo: rule.roundTo,
+  percentage: rule.percentage,
+  amount: rule.amount,
+  category: rule.category,
+  isActive: rule.isActive,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt,
+});
+
+const ensureGoalAccess = async (userId, goalId) => {
+  if (!goalId) {
+    return true;
+  }
+  const { role } = await findAccessibleGoal(goalId, userId);
+  return canContribute(role);
+};
+
+exports.createRule = async (req, res, next) => {
+  try {
+    const rulePayload = sanitizePayload(req.body);
+    const validationError = normalizeRulePayload(rulePayload);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (!(await ensureGoalAccess(req.user._id, rulePayload.goal))) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const rule = await AutoSaveRule.create({
+      user: req.user._id,
+      ...rulePayload,
+    });
+
+    return res.status(201).json({ message: 'Auto-save rule created successfully', rule: buildRuleResponse(rule) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getRules = async (req, res, next) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.goal) {
+      filter.goal = req.query.goal;
+    }
+
+    const rules = await AutoSaveRule.find(filter).sort({ createdAt: -1 });
+    return res.json({ rules: rules.map(buildRuleResponse) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getRuleById = async (req, res, next) => {
+  try {
+    const rule = await AutoSaveRule.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Auto-save rule not found' });
+    }
+
+    return res.json({ rule: buildRuleResponse(rule) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.updateRule = async (req, res, next) => {
+  try {
+    const rulePayload = sanitizePayload(req.body);
+
+    if (!Object.keys(rulePayload).length) {
+      return res.status(400).json({ message: 'No valid fields provided for update' });
+    }
+
+    const rule = await AutoSaveRule.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Auto-save rule not found' });
+    }
+
+    const validationError = normalizeRulePayload(rulePayload, rule.toObject());
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (!(await ensureGoalAccess(req.user._id, rulePayload.goal))) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    rule.set(rulePayload);
+    await rule.save();
+
+    return res.json({ message: 'Auto-save rule updated successfully', rule: buildRuleResponse(rule) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const rule = await AutoSaveRule.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Auto-save rule not found' });
+    }
+
+    return res.json({ message: 'Auto-save rule deleted successfully' });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,146 @@
+const Budget = require('../models/Budget');
+const { buildBudgetResponse, getBudgetStatuses } = require('../utils/budgetStatus');
+const { isValidTimeZone } = require('../utils/common');
+
+const allowedFields = ['category', 'limit', 'rollover', 'notes'];
+
+const sanitizePayload = (payload = {}) =>
+  allowedFields.reduce((acc, field) => {
+    if (typeof payload[field] !== 'undefined') {
+      acc[field] = payload[field];
+    }
+    return acc;
+  }, {});
+
+// The route schemas check every field; only the category needs tidying.
+const normalizeBudgetPayload = (payload) => {
+  if (typeof payload.category === 'string') {
+    payload.category = payload.category.trim();
+  }
+  return payload;
+};
+
+const handleDuplicateCategory = (res, error) => {
+  if (error && error.code === 11000) {
+    return res.status(409).json({ message: 'A budget already exists for this category', code: 'DUPLICATE_BUDGET' });
+  }
+  return null;
+};
+
+exports.createBudget = async (req, res, next) => {
+  try {
+    const budgetPayload = normalizeBudgetPayload(sanitizePayload(req.body));
+
+    const budget = await Budget.create({
+      user: req.user._id,
+      ...budgetPayload,
+    });
+
+    return res.status(201).json({ message: 'Budget created successfully', budget: buildBudgetResponse(budget) });
+  } catch (error) {
+    return handleDuplicateCategory(res, error) || next(error);
+  }
+};
+
+exports.getBudgets = async (req, res, next) => {
+  try {
+    const budgets = await Budget.find({ user: req.user._id }).sort({ category: 1 });
+    return res.json({ budgets: budgets.map(buildBudgetResponse) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getBudgetStatus = async (req, res, next) => {
+  try {
+    const timeZone = req.query.timezone || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: 'Invalid timezone provided' });
+    }
+
+    const budgets = await Budget.find({ user: req.user._id }).sort({ category: 1 });
+    const { period, statuses } = await getBudgetStatuses(req.user._id, budgets, timeZone);
+
+    return res.json({
+      currency: req.user.baseCurrency,
+      period,
+      timezone: timeZone,
+      budgets: statuses,
+      alerts: statuses
+        .filter((entry) => entry.status !== 'ok')
+        .map((entry) => ({ category: entry.budget.category, status: entry.status, percentUsed: entry.percentUsed })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getBudgetById = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    return res.json({ budget: buildBudgetResponse(budget) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.updateBudget = async (req, res, next) => {
+  try {
+    const budgetPayload = normalizeBudgetPayload(sanitizePayload(req.body));
+
+    const budget = await Budget.findOneAndUpdate({ _id: req.params.id, user: req.user._id }, budgetPayload, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    return res.json({ message: 'Budget updated successfully', budget: buildBudgetResponse(budget) });
+  } catch (error) {
+    return handleDuplicateCategory(res, error) || next(error);
+  }
+};
+
+exports.partialUpdateBudget = async (req, res, next) => {
+  try {
+    const budgetPayload = normalizeBudgetPayload(sanitizePayload(req.body));
+
+    if (!Object.keys(budgetPayload).length) {
+      return res.status(400).json({ message: 'No valid fields provided for update' });
+    }
+
+    const budget = await Budget.findOneAndUpdate({ _id: req.params.id, user: req.user._id }, budgetPayload, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    return res.json({ message: 'Budget updated successfully', budget: buildBudgetResponse(budget) });
+  } catch (error) {
+    return handleDuplicateCategory(res, error) || next(error);
+  }
+};
+
+exports.deleteBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    return res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,256 @@
+const CategoryRule = require('../models/CategoryRule');
+const { normalizeTags } = require('../utils/transactionPayload');
+const { normalizeMerchantKey } = require('../utils/recurringDetector');
+const { findActiveRules, isSafePattern, reapplyCategoryRules } = require('../utils/categoryRules');
+const { auditContextFromRequest } = require('../utils/audit');
+
+const allowedFields = ['name', 'match', 'category', 'tags', 'rename', 'priority', 'status'];
+const matchFields = ['name', 'smsPattern', 'minAmount', 'maxAmount', 'payment_method'];
+
+// Listed when no status is asked for; suggestions go through accept and dismiss.
+const EDITABLE_STATUSES = ['active', 'paused'];
+const LISTED_STATUSES = ['active', 'paused', 'suggested', 'dismissed'];
+
+// `learning` rules are internal counters and behave as if they did not exist.
+const visibleRuleFilter = (req) => ({ _id: req.params.id, user: req.user._id, status: { $ne: 'learning' } });
+
+const sanitizePayload = (payload = {}) =>
+  allowedFields.reduce((acc, field) => {
+    if (typeof payload[field] !== 'undefined') {
+      acc[field] = payload[field];
+    }
+    return acc;
+  }, {});
+
+const sanitizeMatch = (match = {}) =>
+  matchFields.reduce((acc, field) => {
+    if (typeof match[field] !== 'undefined' && match[field] !== null && match[field] !== '') {
+      acc[field] = typeof match[field] === 'string' ? match[field].trim() : match[field];
+    }
+    return acc;
+  }, {});
+
+const normalizeRulePayload = (payload, existing = {}) => {
+  if (typeof payload.name === 'string') {
+    payload.name = payload.name.trim();
+  }
+
+  if (typeof payload.match !== 'undefined') {
+    payload.match = sanitizeMatch(payload.match);
+  }
+
+  if (typeof payload.tags !== 'undefined') {
+    payload.tags = normalizeTags(payload.tags);
+    if (!payload.tags) {
+      return 'tags must be an array of strings';
+    }
+  }
+
+  const merged = { ...existing, ...payload };
+  const match = merged.match || {};
+
+  if (!Object.keys(sanitizeMatch(match)).length) {
+    return 'match needs at least one of: name, smsPattern, minAmount, maxAmount, payment_method';
+  }
+
+  if (match.name && !normalizeMerchantKey(match.name)) {
+    return 'match.name must contain letters';
+  }
+
+  if (match.smsPattern) {
+    try {
+      new RegExp(match.smsPattern, 'i');
+    } catch (error) {
+      return 'match.smsPattern is not a valid regular expression';
+    }
+    if (!isSafePattern(match.smsPattern)) {
+      return 'match.smsPattern cannot repeat a group that contains a repeat or an alternation, or use backreferences';
+    }
+  }
+
+  if (typeof match.minAmount === 'number' && typeof match.maxAmount === 'number' && match.minAmount > match.maxAmount) {
+    return 'match.minAmount cannot be greater than match.maxAmount';
+  }
+
+  if (!merged.category && !merged.rename && !(merged.tags && merged.tags.length)) {
+    return 'A rule must set a category, tags or rename';
+  }
+
+  return null;
+};
+
+const buildRuleResponse = (rule) => ({
+  id: rule._id,
+  name: rule.name,
+  match: {
+    name: rule.match.name,
+    smsPattern: rule.match.smsPattern,
+    minAmount: rule.match.minAmount,
+    maxAmount: rule.match.maxAmount,
+    payment_method: rule.match.payment_method,
+  },
+  category: rule.category,
+  tags: rule.tags,
+  rename: rule.rename,
+  priority: rule.priority,
+  status: rule.status,
+  occurrences: rule.occurrences,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt,
+});
+
+const setSuggestionStatus = (status, message) => async (req, res, next) => {
+  try {
+    const rule = await CategoryRule.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, status: 'suggested' },
+      { status },
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Suggested rule not found' });
+    }
+
+    return res.json({ message, rule: buildRuleResponse(rule) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.createCategoryRule = async (req, res, next) => {
+  try {
+    const rulePayload = sanitizePayload(req.body);
+    const validationError = normalizeRulePayload(rulePayload);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const rule = await CategoryRule.create({
+      user: req.user._id,
+      ...rulePayload,
+    });
+
+    return res.status(201).json({ message: 'Category rule created successfully', rule: buildRuleResponse(rule) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getCategoryRules = async (req, res, next) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status)
+          .split(',')
+          .map((status) => status.trim())
+          .filter(Boolean)
+      : EDITABLE_STATUSES;
+
+    if (statuses.some((status) => !LISTED_STATUSES.includes(status))) {
+      return res.status(400).json({ message: `Status must be one of: ${LISTED_STATUSES.join(', ')}` });
+    }
+
+    const rules = await CategoryRule.find({ user: req.user._id, status: { $in: statuses } }).sort({
+      priority: 1,
+      createdAt: 1,
+    });
+    return res.json({ rules: rules.map(buildRuleResponse) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getCategoryRuleById = async (req, res, next) => {
+  try {
+    const rule = await CategoryRule.findOne(visibleRuleFilter(req));
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Category rule not found' });
+    }
+
+    return res.json({ rule: buildRuleResponse(rule) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.updateCategoryRule = async (req, res, next) => {
+  try {
+    const rulePayload = sanitizePayload(req.body);
+
+    if (!Object.keys(rulePayload).length) {
+      return res.status(400).json({ message: 'No valid fields provided for update' });
+    }
+
+    const rule = await CategoryRule.findOne(visibleRuleFilter(req));
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Category rule not found' });
+    }
+
+    const validationError = normalizeRulePayload(rulePayload, rule.toObject());
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    rule.set(rulePayload);
+    await rule.save();
+
+    return res.json({ message: 'Category rule updated successfully', rule: buildRuleResponse(rule) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.deleteCategoryRule = async (req, res, next) => {
+  try {
+    const rule = await CategoryRule.findOneAndDelete(visibleRuleFilter(req));
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Category rule not found' });
+    }
+
+    return res.json({ message: 'Category rule deleted successfully' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.acceptCategoryRule = setSuggestionStatus('active', 'Suggested rule accepted');
+
+exports.dismissCategoryRule = setSuggestionStatus('dismissed', 'Suggested rule dismissed');
+
+// Re-runs the active rules, or a single rule of any status, over past transactions.
+// Categories picked by hand are kept unless `overwrite` is set.
+exports.applyCategoryRules = async (req, res, next) => {
+  try {
+    // The route schema has already turned "true"/"1" style flags into booleans.
+    const { rule: ruleId, from, to, overwrite = false, dryRun = false } = req.body;
+
+    let rules;
+    if (ruleId) {
+      const rule = await CategoryRule.findOne({ _id: ruleId, user: req.user._id, status: { $ne: 'learning' } });
+      if (!rule) {
+        return res.status(404).json({ message: 'Category rule not found' });
+      }
+      rules = [rule];
+    } else {
+      rules = await findActiveRules(req.user._id);
+    }
+
+    const summary = await reapplyCategoryRules(
+      req.user._id,
+      { rules, from, to, overwrite, dryRun },
+      auditContextFromRequest(req)
+    );
+
+    return res.json({
+      message: summary.dryRun
+        ? `${summary.updated} transactions would change`
+        : `Updated ${summary.updated} transactions`,
+      ...summary,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
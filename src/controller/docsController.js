@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiDocument } = require('../docs/openapi');
+
+const VIEWER_PATH = path.join(__dirname, '..', 'docs', 'viewer.html');
+
+// Routes are fixed once the app has started, so each document is built only once.
+const createDocsHandlers = (routeTable) => {
+  let document = null;
+  let viewer = null;
+
+  const getOpenApiDocument = (req, res) => {
+    document = document || buildOpenApiDocument(routeTable);
+    res.json(document);
+  };
+
+  const getDocsViewer = (req, res) => {
+    viewer = viewer || fs.readFileSync(VIEWER_PATH, 'utf8');
+    res.type('html').send(viewer);
+  };
+
+  return { getOpenApiDocument, getDocsViewer };
+};
+
+module.exports = {
+  createDocsHandlers,
+};
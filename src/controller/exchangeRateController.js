@@ -0,0 +1,163 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { PIVOT_CURRENCY, normalizeCurrency, createRateConverter, recomputeBaseAmounts } = require('../utils/currency');
+
+const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const buildRateResponse = (rate) => ({
+  id: rate._id,
+  base: rate.base,
+  quote: rate.quote,
+  rate: rate.rate,
+  effectiveDate: rate.effectiveDate,
+  uploadedBy: rate.uploadedBy,
+  updatedAt: rate.updatedAt,
+});
+
+// The route schema has checked the shape of every entry; only the pairing is left.
+const normalizeRateEntry = (entry, index) => {
+  const base = normalizeCurrency(entry.base);
+  const quote = normalizeCurrency(entry.quote);
+
+  if (base === quote) {
+    return { error: `Rate ${index + 1}: base and quote must differ` };
+  }
+
+  return { value: { base, quote, rate: Number(entry.rate), effectiveDate: parseDate(entry.effective_date) } };
+};
+
+// Transactions dated on or after the earliest uploaded rate may now convert differently,
+// so their stored base amounts are recomputed. That covers transactions in a touched
+// currency and, when a rate is quoted against the pivot, every foreign transaction of
+// users whose base currency is the other side: those convert through the pivot.
+const recomputeAffectedTransactions = async (rates) => {
+  const currencies = [...new Set(rates.flatMap((rate) => [rate.base, rate.quote]))];
+  const pivotPaired = new Set(
+    rates
+      .filter((rate) => rate.base === PIVOT_CURRENCY || rate.quote === PIVOT_CURRENCY)
+      .map((rate) => (rate.base === PIVOT_CURRENCY ? rate.quote : rate.base))
+  );
+  const since = new Date(Math.min(...rates.map((rate) => rate.effectiveDate.getTime())));
+
+  const userIds = await Transaction.distinct('user', {
+    currency: { $in: currencies },
+    transaction_date: { $gte: since },
+  });
+  const users = await User.find({
+    $or: [{ _id: { $in: userIds } }, { baseCurrency: { $in: [...pivotPaired] } }],
+  }).select('_id baseCurrency');
+
+  let updated = 0;
+  for (const user of users) {
+    const currency = pivotPaired.has(user.baseCurrency)
+      ? { $nin: [user.baseCurrency, null] }
+      : { $in: currencies };
+    updated += await recomputeBaseAmounts(user._id, user.baseCurrency, {
+      currency,
+      transaction_date: { $gte: since },
+    });
+  }
+  return updated;
+};
+
+exports.uploadRates = async (req, res, next) => {
+  try {
+    const { rates } = req.body;
+
+    const normalized = [];
+    for (let index = 0; index < rates.length; index += 1) {
+      const { value, error } = normalizeRateEntry(rates[index], index);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      normalized.push(value);
+    }
+
+    const result = await ExchangeRate.bulkWrite(
+      normalized.map((entry) => ({
+        updateOne: {
+          filter: { base: entry.base, quote: entry.quote, effectiveDate: entry.effectiveDate },
+          update: { $set: { rate: entry.rate, uploadedBy: req.user._id } },
+          upsert: true,
+        },
+      }))
+    );
+
+    const recomputed = await recomputeAffectedTransactions(normalized);
+
+    return res.status(201).json({
+      message: 'Exchange rates saved',
+      inserted: result.upsertedCount,
+      updated: result.modifiedCount,
+      transactionsRecomputed: recomputed,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getRates = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.base) {
+      const base = normalizeCurrency(req.query.base);
+      if (!base) {
+        return res.status(400).json({ message: 'base must be a 3-letter ISO code' });
+      }
+      filter.base = base;
+    }
+
+    if (req.query.quote) {
+      const quote = normalizeCurrency(req.query.quote);
+      if (!quote) {
+        return res.status(400).json({ message: 'quote must be a 3-letter ISO code' });
+      }
+      filter.quote = quote;
+    }
+
+    if (req.query.date) {
+      filter.effectiveDate = { $lte: parseDate(req.query.date) };
+    }
+
+    const rates = await ExchangeRate.find(filter).sort({ base: 1, quote: 1, effectiveDate: -1 }).limit(500);
+
+    return res.json({ rates: rates.map(buildRateResponse) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.convertAmount = async (req, res, next) => {
+  try {
+    const amount = Number(req.query.amount);
+    const from = normalizeCurrency(req.query.from);
+    const to = normalizeCurrency(req.query.to || req.user.baseCurrency);
+    const date = req.query.date ? parseDate(req.query.date) : new Date();
+
+    const converter = createRateConverter();
+    const rate = await converter.getRate(from, to, date);
+
+    if (rate === null) {
+      return res.status(404).json({ message: `No exchange rate available from ${from} to ${to}` });
+    }
+
+    return res.json({
+      amount,
+      from,
+      to,
+      date,
+      rate,
+      convertedAmount: await converter.convert(amount, from, to, date),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,164 @@
+const Goal = require('../models/Goal');
+const Transaction = require('../models/Transaction');
+const { buildTransactionFilter, TRANSACTION_SORT } = require('../utils/transactionQuery');
+const { streamRows } = require('../utils/exportWriter');
+const { goalAccessFilter } = require('../utils/goalAccess');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const TRANSACTION_COLUMNS = [
+  'id',
+  'transaction_date',
+  'name',
+  'amount',
+  'currency',
+  'base_amount',
+  'type',
+  'category',
+  'payment_method',
+  'tags',
+  'reference_id',
+  'source',
+  'note',
+  'is_auto',
+  'sms_body',
+  'createdAt',
+  'updatedAt',
+];
+
+const GOAL_COLUMNS = [
+  'goal_id',
+  'goal_name',
+  'goal_amount',
+  'goal_currency',
+  'goal_saved_amount',
+  'goal_progress',
+  'goal_category',
+  'goal_target_date',
+  'goal_is_completed',
+  'goal_created_at',
+  'contribution_id',
+  'contribution_amount',
+  'contribution_currency',
+  'contribution_converted_amount',
+  'contribution_type',
+  'contribution_contributor',
+  'contribution_note',
+  'contribution_created_at',
+];
+
+const resolveFormat = (value) => (value ? value.trim().toLowerCase() : 'csv');
+
+const buildFilename = (prefix) => `${prefix}-${new Date().toISOString().slice(0, 10)}`;
+
+async function* transactionRows(cursor) {
+  for await (const transaction of cursor) {
+    yield {
+      id: String(transaction._id),
+      transaction_date: transaction.transaction_date,
+      name: transaction.name,
+      amount: transaction.amount,
+      currency: transaction.currency || DEFAULT_CURRENCY,
+      base_amount: transaction.base_amount,
+      type: transaction.type,
+      category: transaction.category,
+      payment_method: transaction.payment_method,
+      tags: transaction.tags,
+      reference_id: transaction.reference_id,
+      source: transaction.source,
+      note: transaction.note,
+      is_auto: transaction.is_auto,
+      sms_body: transaction.sms_body,
+      createdAt: transaction.createdAt,
+      updatedAt: transaction.updatedAt,
+    };
+  }
+}
+
+async function* goalContributionRows(cursor) {
+  for await (const goal of cursor) {
+    const goalCurrency = goal.currency || DEFAULT_CURRENCY;
+    const goalColumns = {
+      goal_id: String(goal._id),
+      goal_name: goal.name,
+      goal_amount: goal.amount,
+      goal_currency: goalCurrency,
+      goal_saved_amount: goal.savedAmount,
+      goal_progress: goal.progress,
+      goal_category: goal.category,
+      goal_target_date: goal.targetDate,
+      goal_is_completed: goal.isCompleted,
+      goal_created_at: goal.createdAt,
+    };
+
+    const contributions = goal.contributions || [];
+    if (!contributions.length) {
+      yield goalColumns;
+    }
+
+    for (const contribution of contributions) {
+      yield {
+        ...goalColumns,
+        contribution_id: String(contribution._id),
+        contribution_amount: contribution.amount,
+        contribution_currency: contribution.currency || goalCurrency,
+        contribution_converted_amount: contribution.convertedAmount,
+        contribution_type: contribution.type || 'deposit',
+        contribution_contributor: String(contribution.contributor || goal.user),
+        contribution_note: contribution.note,
+        contribution_created_at: contribution.createdAt,
+      };
+    }
+  }
+}
+
+exports.exportTransactions = async (req, res, next) => {
+  try {
+    const format = resolveFormat(req.query.format);
+
+    const { filter, error: filterError } = buildTransactionFilter(req.user._id, req.query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+
+    const cursor = Transaction.find(filter).sort(TRANSACTION_SORT).lean().cursor();
+
+    try {
+      return await streamRows(res, {
+        format,
+        filename: buildFilename('transactions'),
+        columns: TRANSACTION_COLUMNS,
+        rows: transactionRows(cursor),
+      });
+    } finally {
+      await cursor.close();
+    }
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.exportGoals = async (req, res, next) => {
+  try {
+    const format = resolveFormat(req.query.format);
+
+    const filter = goalAccessFilter(req.user._id);
+    if (typeof req.query.category === 'string' && req.query.category.trim()) {
+      filter.category = req.query.category.trim();
+    }
+
+    const cursor = Goal.find(filter).sort({ createdAt: -1 }).lean().cursor();
+
+    try {
+      return await streamRows(res, {
+        format,
+        filename: buildFilename('goals'),
+        columns: GOAL_COLUMNS,
+        rows: goalContributionRows(cursor),
+      });
+    } finally {
+      await cursor.close();
+    }
+  } catch (error) {
+    return next(error);
+  }
+};
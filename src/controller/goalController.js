@@ -1,158 +1,120 @@
 const Goal = require('../models/Goal');
+const AuditLog = require('../models/AuditLog');
+const { goalAccessFilter, canContribute, findAccessibleGoal } = require('../utils/goalAccess');
+const {
+  sanitizePayload,
+  validateGoalCurrency,
+  applyGoalPayload,
+  buildGoalResponseForUser,
+} = require('../utils/goalPayload');
+const { normalizeCurrency, createRateConverter } = require('../utils/currency');
+const { auditContextFromRequest, captureGoal, recordGoalChange, findAuditPage } = require('../utils/audit');
+const { TRASH_RETENTION_DAYS, getPurgeDate, findTrashPage, trashGoal } = require('../utils/trash');
+
+const convertContributionAmount = async (amount, currency, goal, date) => {
+  if (currency === goal.currency) {
+    return { convertedAmount: undefined };
+  }
 
-const allowedFields = [
-  'name',
-  'amount',
-  'description',
-  'category',
-  'targetDate',
-  'isCompleted',
-  'notes',
-];
-
-const sanitizePayload = (payload) =>
-  allowedFields.reduce((acc, field) => {
-    if (typeof payload[field] !== 'undefined') {
-      acc[field] = payload[field];
-    }
-    return acc;
-  }, {});
-
-const normalizeAmount = (value) => {
-  const numeric = Number(value);
-  if (Number.isNaN(numeric)) {
-    return null;
-  }
-  return numeric;
-};
-
-const buildGoalResponse = (goal) => ({
-  id: goal._id,
-  name: goal.name,
-  amount: goal.amount,
-  savedAmount: goal.savedAmount,
-  remainingAmount: goal.remainingAmount,
-  description: goal.description,
-  category: goal.category,
-  targetDate: goal.targetDate,
-  isCompleted: goal.isCompleted,
-  progress: goal.progress,
-  notes: goal.notes,
-  tags: goal.tags,
-  contributions: goal.contributions,
-  createdAt: goal.createdAt,
-  updatedAt: goal.updatedAt,
-});
-
-const applyGoalUpdates = async (goal, payload) => {
-  Object.entries(payload).forEach(([key, value]) => {
-    if (typeof value === 'string') {
-      goal[key] = value.trim();
-    } else if (key === 'amount') {
-      goal[key] = normalizeAmount(value);
-    } else {
-      goal[key] = value;
-    }
-  });
+  const convertedAmount = await createRateConverter().convert(amount, currency, goal.currency, date);
+  if (convertedAmount === null) {
+    return { error: `No exchange rate available from ${currency} to ${goal.currency}` };
+  }
+  return { convertedAmount };
+};
 
+const applyGoalUpdates = async (goal, payload, auditContext) => {
+  const before = captureGoal(goal);
+  applyGoalPayload(goal, payload);
   await goal.save();
+  await recordGoalChange(auditContext, goal, { before });
   return goal;
 };
 
-exports.createGoal = async (req, res) => {
+exports.createGoal = async (req, res, next) => {
   try {
     const goalPayload = sanitizePayload(req.body);
+    goalPayload.name = goalPayload.name.trim();
 
-    if (!goalPayload.name || typeof goalPayload.amount === 'undefined') {
-      return res.status(400).json({ message: 'Name and amount are required' });
-    }
-
-    if (goalPayload.name) {
-      goalPayload.name = goalPayload.name.trim();
+    const currencyError = validateGoalCurrency(goalPayload);
+    if (currencyError) {
+      return res.status(400).json({ message: currencyError });
     }
 
-    const normalizedAmount = normalizeAmount(goalPayload.amount);
-    if (normalizedAmount === null || normalizedAmount < 0) {
-      return res.status(400).json({ message: 'Amount must be a non-negative number' });
-    }
-    goalPayload.amount = normalizedAmount;
-
     const goal = await Goal.create({
       user: req.user._id,
+      currency: req.user.baseCurrency,
       ...goalPayload,
     });
+    await recordGoalChange(auditContextFromRequest(req), goal);
 
-    res.status(201).json({ message: 'Goal created successfully', goal: buildGoalResponse(goal) });
+    res
+      .status(201)
+      .json({ message: 'Goal created successfully', goal: await buildGoalResponseForUser(goal, req.user) });
   } catch (error) {
-    console.error('Create goal error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.getGoals = async (req, res) => {
+exports.getGoals = async (req, res, next) => {
   try {
-    const goals = await Goal.find({ user: req.user._id }).sort({ createdAt: -1 });
-    res.json({ goals: goals.map(buildGoalResponse) });
+    const goals = await Goal.find(goalAccessFilter(req.user._id)).sort({ createdAt: -1 });
+    const converter = createRateConverter();
+    res.json({ goals: await Promise.all(goals.map((goal) => buildGoalResponseForUser(goal, req.user, converter))) });
   } catch (error) {
-    console.error('Get goals error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.getGoalById = async (req, res) => {
+exports.getGoalById = async (req, res, next) => {
   try {
-    const goal = await Goal.findOne({ _id: req.params.id, user: req.user._id });
+    const { goal } = await findAccessibleGoal(req.params.id, req.user._id);
 
     if (!goal) {
       return res.status(404).json({ message: 'Goal not found' });
     }
 
-    res.json({ goal: buildGoalResponse(goal) });
+    res.json({ goal: await buildGoalResponseForUser(goal, req.user) });
   } catch (error) {
-    console.error('Get goal error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.updateGoal = async (req, res) => {
+exports.updateGoal = async (req, res, next) => {
   try {
     const goalPayload = sanitizePayload(req.body);
-
-    if (!goalPayload.name || typeof goalPayload.amount === 'undefined') {
-      return res.status(400).json({ message: 'Name and amount are required for update' });
-    }
-
-    const goal = await Goal.findOne({ _id: req.params.id, user: req.user._id });
+    const { goal, role } = await findAccessibleGoal(req.params.id, req.user._id);
 
     if (!goal) {
       return res.status(404).json({ message: 'Goal not found' });
     }
 
-    if (goalPayload.name) {
-      goalPayload.name = goalPayload.name.trim();
+    if (role !== 'owner') {
+      return res.status(403).json({ message: 'Only the goal owner can update this goal' });
     }
 
-    const normalizedAmount = normalizeAmount(goalPayload.amount);
-    if (normalizedAmount === null || normalizedAmount < 0) {
-      return res.status(400).json({ message: 'Amount must be a non-negative number' });
-    }
-    if (normalizedAmount < goal.savedAmount) {
+    goalPayload.name = goalPayload.name.trim();
+
+    if (goalPayload.amount < goal.savedAmount) {
       return res.status(400).json({
         message: 'Amount cannot be less than the total saved amount',
       });
     }
-    goalPayload.amount = normalizedAmount;
 
-    const updatedGoal = await applyGoalUpdates(goal, goalPayload);
+    const currencyError = validateGoalCurrency(goalPayload, goal);
+    if (currencyError) {
+      return res.status(400).json({ message: currencyError });
+    }
+
+    const updatedGoal = await applyGoalUpdates(goal, goalPayload, auditContextFromRequest(req));
 
-    res.json({ message: 'Goal updated successfully', goal: buildGoalResponse(updatedGoal) });
+    res.json({ message: 'Goal updated successfully', goal: await buildGoalResponseForUser(updatedGoal, req.user) });
   } catch (error) {
-    console.error('Update goal error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.partialUpdateGoal = async (req, res) => {
+exports.partialUpdateGoal = async (req, res, next) => {
   try {
     const goalPayload = sanitizePayload(req.body);
 
@@ -160,77 +122,318 @@ exports.partialUpdateGoal = async (req, res) => {
       return res.status(400).json({ message: 'No valid fields provided for update' });
     }
 
-    const goal = await Goal.findOne({ _id: req.params.id, user: req.user._id });
+    const { goal, role } = await findAccessibleGoal(req.params.id, req.user._id);
 
     if (!goal) {
       return res.status(404).json({ message: 'Goal not found' });
     }
 
-    if (typeof goalPayload.amount !== 'undefined') {
-      const normalizedAmount = normalizeAmount(goalPayload.amount);
-      if (normalizedAmount === null || normalizedAmount < 0) {
-        return res.status(400).json({ message: 'Amount must be a non-negative number' });
-      }
-      if (normalizedAmount < goal.savedAmount) {
-        return res.status(400).json({
-          message: 'Amount cannot be less than the total saved amount',
-        });
-      }
-      goalPayload.amount = normalizedAmount;
+    if (role !== 'owner') {
+      return res.status(403).json({ message: 'Only the goal owner can update this goal' });
     }
 
-    const updatedGoal = await applyGoalUpdates(goal, goalPayload);
+    if (typeof goalPayload.amount !== 'undefined' && goalPayload.amount < goal.savedAmount) {
+      return res.status(400).json({
+        message: 'Amount cannot be less than the total saved amount',
+      });
+    }
+
+    const currencyError = validateGoalCurrency(goalPayload, goal);
+    if (currencyError) {
+      return res.status(400).json({ message: currencyError });
+    }
+
+    const updatedGoal = await applyGoalUpdates(goal, goalPayload, auditContextFromRequest(req));
 
-    res.json({ message: 'Goal updated successfully', goal: buildGoalResponse(updatedGoal) });
+    res.json({ message: 'Goal updated successfully', goal: await buildGoalResponseForUser(updatedGoal, req.user) });
   } catch (error) {
-    console.error('Partial update goal error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.deleteGoal = async (req, res) => {
+// Trashed goals keep their contributions, auto-save rules and invitations until the
+// purge job removes them, so a restore brings everything back.
+exports.deleteGoal = async (req, res, next) => {
   try {
-    const goal = await Goal.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    const { goal, role } = await findAccessibleGoal(req.params.id, req.user._id);
 
     if (!goal) {
       return res.status(404).json({ message: 'Goal not found' });
     }
 
-    res.json({ message: 'Goal deleted successfully' });
+    if (role !== 'owner') {
+      return res.status(403).json({ message: 'Only the goal owner can delete this goal' });
+    }
+
+    const trashed = await trashGoal(goal, auditContextFromRequest(req));
+    if (!trashed) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    return res.json({
+      message: 'Goal moved to trash',
+      deletedAt: trashed.deletedAt,
+      purgeAt: getPurgeDate(trashed.deletedAt),
+    });
   } catch (error) {
-    console.error('Delete goal error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
   }
 };
 
-exports.addContribution = async (req, res) => {
+exports.getTrashedGoals = async (req, res, next) => {
   try {
-    const { amount, note } = req.body;
+    const page = await findTrashPage(Goal, { user: req.user._id }, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    const converter = createRateConverter();
+    const goals = await Promise.all(
+      page.items.map(async (goal) => ({
+        ...(await buildGoalResponseForUser(goal, req.user, converter)),
+        purgeAt: getPurgeDate(goal.deletedAt),
+      }))
+    );
 
-    if (typeof amount === 'undefined' || Number(amount) <= 0) {
-      return res.status(400).json({ message: 'Contribution amount must be greater than zero' });
+    res.json({ goals, retentionDays: TRASH_RETENTION_DAYS, hasMore: page.hasMore, nextCursor: page.nextCursor });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.restoreGoal = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, user: req.user._id, deletedAt: { $ne: null } });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found in trash' });
     }
 
-    const goal = await Goal.findOne({ _id: req.params.id, user: req.user._id });
+    const before = captureGoal(goal);
+    goal.deletedAt = null;
+    await goal.save();
+    await recordGoalChange(auditContextFromRequest(req), goal, { before, action: 'restore' });
+
+    res.json({ message: 'Goal restored', goal: await buildGoalResponseForUser(goal, req.user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.addContribution = async (req, res, next) => {
+  try {
+    const { amount, note, type = 'deposit', currency } = req.body;
+
+    const { goal, role } = await findAccessibleGoal(req.params.id, req.user._id);
 
     if (!goal) {
       return res.status(404).json({ message: 'Goal not found' });
     }
 
+    if (!canContribute(role)) {
+      return res.status(403).json({ message: 'You do not have permission to change contributions on this goal' });
+    }
+
+    const contributionCurrency = typeof currency === 'undefined' ? goal.currency : normalizeCurrency(currency);
+
     const numericAmount = Number(amount);
-    if (goal.amount && numericAmount + goal.savedAmount > goal.amount) {
+    const { convertedAmount, error: conversionError } = await convertContributionAmount(
+      numericAmount,
+      contributionCurrency,
+      goal,
+      new Date()
+    );
+    if (conversionError) {
+      return res.status(400).json({ message: conversionError });
+    }
+
+    const goalAmount = typeof convertedAmount === 'number' ? convertedAmount : numericAmount;
+    if (type === 'withdrawal' && goalAmount > goal.savedAmount) {
+      return res.status(400).json({ message: 'Withdrawal cannot exceed the saved amount' });
+    }
+
+    if (type === 'deposit' && goal.amount && goalAmount + goal.savedAmount > goal.amount) {
       goal.isCompleted = true;
     }
 
-    goal.contributions.push({ amount: numericAmount, note: note ? note.trim() : undefined });
+    const before = captureGoal(goal);
+    goal.contributions.push({
+      amount: numericAmount,
+      currency: contributionCurrency,
+      convertedAmount,
+      type,
+      note: note ? note.trim() : undefined,
+      contributor: req.user._id,
+    });
     await goal.save();
+    await recordGoalChange(auditContextFromRequest(req), goal, { before });
 
     res.status(201).json({
-      message: 'Contribution recorded successfully',
-      goal: buildGoalResponse(goal),
+      message: type === 'withdrawal' ? 'Withdrawal recorded successfully' : 'Contribution recorded successfully',
+      goal: await buildGoalResponseForUser(goal, req.user),
     });
   } catch (error) {
-    console.error('Add contribution error:', error);
-    res.status(500).json({ message: 'Server error' });
+    return next(error);
+  }
+};
+
+exports.updateContribution = async (req, res, next) => {
+  try {
+    const { amount, note, type } = req.body;
+
+    if (typeof amount === 'undefined' && typeof note === 'undefined' && typeof type === 'undefined') {
+      return res.status(400).json({ message: 'No valid fields provided for update' });
+    }
+
+    const { goal, role } = await findAccessibleGoal(req.params.id, req.user._id);
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    if (!canContribute(role)) {
+      return res.status(403).json({ message: 'You do not have permission to change contributions on this goal' });
+    }
+
+    const contribution = goal.contributions.id(req.params.contributionId);
+
+    if (!contribution) {
+      return res.status(404).json({ message: 'Contribution not found' });
+    }
+
+    if (role !== 'owner' && String(contribution.contributor) !== String(req.user._id)) {
+      return res.status(403).json({ message: 'You can only change your own contributions' });
+    }
+
+    const updatedEntry = {
+      amount: typeof amount !== 'undefined' ? Number(amount) : contribution.amount,
+      type: typeof type !== 'undefined' ? type : contribution.type,
+      convertedAmount: contribution.convertedAmount,
+    };
+
+    if (typeof amount !== 'undefined' && contribution.currency && contribution.currency !== goal.currency) {
+      const { convertedAmount, error: conversionError } = await convertContributionAmount(
+        updatedEntry.amount,
+        contribution.currency,
+        goal,
+        contribution.createdAt || new Date()
+      );
+      if (conversionError) {
+        return res.status(400).json({ message: conversionError });
+      }
+      updatedEntry.convertedAmount = convertedAmount;
+    }
+
+    const projectedSaved = Goal.calculateSavedAmount(
+      goal.contributions.map((entry) => (entry._id.equals(contribution._id) ? updatedEntry : entry))
+    );
+    if (projectedSaved < 0) {
+      return res.status(400).json({ message: 'Withdrawals cannot exceed the saved amount' });
+    }
+
+    const before = captureGoal(goal);
+    contribution.amount = updatedEntry.amount;
+    contribution.type = updatedEntry.type;
+    contribution.convertedAmount = updatedEntry.convertedAmount;
+    if (typeof note !== 'undefined') {
+      contribution.note = typeof note === 'string' ? note.trim() : note;
+    }
+
+    await goal.save();
+    await recordGoalChange(auditContextFromRequest(req), goal, { before });
+
+    res.json({ message: 'Contribution updated successfully', goal: await buildGoalResponseForUser(goal, req.user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.deleteContribution = async (req, res, next) => {
+  try {
+    const { goal, role } = await findAccessibleGoal(req.params.id, req.user._id);
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    if (!canContribute(role)) {
+      return res.status(403).json({ message: 'You do not have permission to change contributions on this goal' });
+    }
+
+    const contribution = goal.contributions.id(req.params.contributionId);
+
+    if (!contribution) {
+      return res.status(404).json({ message: 'Contribution not found' });
+    }
+
+    if (role !== 'owner' && String(contribution.contributor) !== String(req.user._id)) {
+      return res.status(403).json({ message: 'You can only change your own contributions' });
+    }
+
+    const projectedSaved = Goal.calculateSavedAmount(
+      goal.contributions.filter((entry) => !entry._id.equals(contribution._id))
+    );
+    if (projectedSaved < 0) {
+      return res.status(400).json({
+        message: 'Removing this contribution would leave withdrawals exceeding the saved amount',
+      });
+    }
+
+    const before = captureGoal(goal);
+    contribution.deleteOne();
+    await goal.save();
+    await recordGoalChange(auditContextFromRequest(req), goal, { before });
+
+    res.json({ message: 'Contribution deleted successfully', goal: await buildGoalResponseForUser(goal, req.user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Members see the history while they can see the goal; once it is deleted only the
+// owner can still read it.
+const findGoalHistoryScope = async (req) => {
+  const { goal } = await findAccessibleGoal(req.params.id, req.user._id);
+  if (goal) {
+    return { goal, filter: { goal: goal._id } };
+  }
+  return { goal: null, filter: { goal: req.params.id, user: req.user._id } };
+};
+
+exports.getGoalHistory = async (req, res, next) => {
+  try {
+    const { goal, filter } = await findGoalHistoryScope(req);
+    if (!goal && !(await AuditLog.exists(filter))) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const page = await findAuditPage(filter, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    return res.json(page);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getContributionHistory = async (req, res, next) => {
+  try {
+    const { goal, filter: goalFilter } = await findGoalHistoryScope(req);
+    const filter = { ...goalFilter, resourceType: 'contribution', resource: req.params.contributionId };
+    const exists = (goal && goal.contributions.id(req.params.contributionId)) || (await AuditLog.exists(filter));
+    if (!exists) {
+      return res.status(404).json({ message: 'Contribution not found' });
+    }
+
+    const page = await findAuditPage(filter, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    return res.json(page);
+  } catch (error) {
+    return next(error);
   }
 };
@@ -0,0 +1,311 @@
+const Goal = require('../models/Goal');
+const GoalInvitation = require('../models/GoalInvitation');
+const User = require('../models/User');
+const { findAccessibleGoal } = require('../utils/goalAccess');
+const { notifySafely, buildGoalInvitationNotification } = require('../utils/notifications');
+const { DAY_IN_MS } = require('../utils/common');
+
+const INVITATION_TTL_DAYS = 14;
+
+const buildInvitationResponse = (invitation, goal) => ({
+  id: invitation._id,
+  goal: goal ? { id: goal._id, name: goal.name } : invitation.goal,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+});
+
+const findOwnedGoal = async (req, res) => {
+  const { goal, role } = await findAccessibleGoal(req.params.id, req.user._id);
+
+  if (!goal) {
+    res.status(404).json({ message: 'Goal not found' });
+    return null;
+  }
+
+  if (role !== 'owner') {
+    res.status(403).json({ message: 'Only the goal owner can manage sharing' });
+    return null;
+  }
+
+  return goal;
+};
+
+// Invitations are addressed by email, so only someone who has proven they own the
+// address may see or answer them.
+const requireVerifiedEmail = (req, res) => {
+  if (!req.user.emailVerified) {
+    res.status(403).json({ message: 'Verify your email address to see and answer invitations' });
+    return false;
+  }
+  return true;
+};
+
+const findPendingInvitationForUser = async (req, res) => {
+  if (!requireVerifiedEmail(req, res)) {
+    return null;
+  }
+
+  const invitation = await GoalInvitation.findOne({
+    _id: req.params.invitationId,
+    email: req.user.email,
+    status: 'pending',
+  });
+
+  if (!invitation || invitation.expiresAt.getTime() <= Date.now()) {
+    res.status(404).json({ message: 'Invitation not found or expired' });
+    return null;
+  }
+
+  return invitation;
+};
+
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const email = req.body.email.trim().toLowerCase();
+    const role = req.body.role || 'contributor';
+
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) {
+      return undefined;
+    }
+
+    if (email === req.user.email) {
+      return res.status(400).json({ message: 'You already own this goal' });
+    }
+
+    const invitee = await User.findOne({ email }).select('_id');
+    if (invitee && goal.members.some((member) => String(member.user) === String(invitee._id))) {
+      return res.status(409).json({ message: 'User is already a member of this goal' });
+    }
+
+    // An expired invitation still holds the pending slot in the unique index.
+    await GoalInvitation.updateMany(
+      { goal: goal._id, email, status: 'pending', expiresAt: { $lte: new Date() } },
+      { status: 'expired' }
+    );
+
+    const existing = await GoalInvitation.findOne({ goal: goal._id, email, status: 'pending' });
+    if (existing) {
+      return res.status(409).json({ message: 'An invitation is already pending for this email' });
+    }
+
+    const invitation = await GoalInvitation.create({
+      goal: goal._id,
+      invitedBy: req.user._id,
+      email,
+      role,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * DAY_IN_MS),
+    });
+
+    if (invitee) {
+      notifySafely([buildGoalInvitationNotification(invitee._id, goal, invitation)]);
+    }
+
+    return res
+      .status(201)
+      .json({ message: 'Invitation sent successfully', invitation: buildInvitationResponse(invitation, goal) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getGoalInvitations = async (req, res, next) => {
+  try {
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) {
+      return undefined;
+    }
+
+    const invitations = await GoalInvitation.find({ goal: goal._id }).sort({ createdAt: -1 });
+    return res.json({ invitations: invitations.map((invitation) => buildInvitationResponse(invitation, goal)) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) {
+      return undefined;
+    }
+
+    const invitation = await GoalInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, goal: goal._id, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    return res.json({ message: 'Invitation revoked', invitation: buildInvitationResponse(invitation, goal) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getMyInvitations = async (req, res, next) => {
+  try {
+    if (!requireVerifiedEmail(req, res)) {
+      return undefined;
+    }
+
+    const invitations = await GoalInvitation.find({
+      email: req.user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    })
+      .populate('goal', 'name')
+      .sort({ createdAt: -1 });
+
+    return res.json({
+      invitations: invitations
+        .filter((invitation) => invitation.goal)
+        .map((invitation) => buildInvitationResponse(invitation, invitation.goal)),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitationForUser(req, res);
+    if (!invitation) {
+      return undefined;
+    }
+
+    const goal = await Goal.findById(invitation.goal);
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const alreadyMember =
+      String(goal.user) === String(req.user._id) ||
+      goal.members.some((member) => String(member.user) === String(req.user._id));
+
+    if (!alreadyMember) {
+      goal.members.push({ user: req.user._id, role: invitation.role });
+      await goal.save();
+    }
+
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    return res.json({ message: 'Invitation accepted', invitation: buildInvitationResponse(invitation, goal) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.declineInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitationForUser(req, res);
+    if (!invitation) {
+      return undefined;
+    }
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    return res.json({ message: 'Invitation declined', invitation: buildInvitationResponse(invitation) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getMembers = async (req, res, next) => {
+  try {
+    const { goal } = await findAccessibleGoal(req.params.id, req.user._id);
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const userIds = [goal.user, ...goal.members.map((member) => member.user)];
+    const users = await User.find({ _id: { $in: userIds } }).select('name email');
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+    const describe = (userId, role, joinedAt) => {
+      const user = usersById.get(String(userId));
+      return {
+        user: userId,
+        name: user ? user.name : null,
+        email: user ? user.email : null,
+        role,
+        joinedAt,
+      };
+    };
+
+    return res.json({
+      members: [
+        describe(goal.user, 'owner', goal.createdAt),
+        ...goal.members.map((member) => describe(member.user, member.role, member.joinedAt)),
+      ],
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) {
+      return undefined;
+    }
+
+    const member = goal.members.find((entry) => String(entry.user) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    member.role = role;
+    await goal.save();
+
+    return res.json({ message: 'Member role updated', member });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.removeMember = async (req, res, next) => {
+  try {
+    const { goal, role } = await findAccessibleGoal(req.params.id, req.user._id);
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const isSelf = req.params.userId === String(req.user._id);
+    if (role !== 'owner' && !isSelf) {
+      return res.status(403).json({ message: 'Only the goal owner can remove other members' });
+    }
+
+    if (role === 'owner' && isSelf) {
+      return res.status(400).json({ message: 'The goal owner cannot leave the goal' });
+    }
+
+    const initialLength = goal.members.length;
+    goal.members = goal.members.filter((entry) => String(entry.user) !== req.params.userId);
+
+    if (goal.members.length === initialLength) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    await goal.save();
+
+    return res.json({ message: isSelf ? 'You left the goal' : 'Member removed' });
+  } catch (error) {
+    return next(error);
+  }
+};
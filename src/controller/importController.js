@@ -0,0 +1,201 @@
+const Transaction = require('../models/Transaction');
+const { parseStatement } = require('../utils/import');
+const { sanitizePayload, normalizeTransactionPayload } = require('../utils/transactionPayload');
+const { applyBaseAmount, createRateConverter } = require('../utils/currency');
+const { auditContextFromRequest, buildTransactionAuditEntry, recordAudit } = require('../utils/audit');
+const { findActiveRules, applyRules } = require('../utils/categoryRules');
+
+const MAX_IMPORT_ROWS = 5000;
+
+const readImportOptions = (body = {}) => ({
+  format: typeof body.format === 'string' ? body.format.trim().toLowerCase() : body.format,
+  content: body.content,
+  options: {
+    mapping: body.mapping,
+    dateFormat: body.date_format,
+    defaultType: body.default_type,
+    delimiter: body.delimiter,
+  },
+});
+
+const buildImportPreview = async (userId, body) => {
+  const { format, content, options } = readImportOptions(body);
+
+  if (options.mapping && (typeof options.mapping !== 'object' || Array.isArray(options.mapping))) {
+    return { error: 'mapping must be an object of field to column name' };
+  }
+
+  if (options.defaultType && !['debit', 'credit'].includes(options.defaultType)) {
+    return { error: 'default_type must be debit or credit' };
+  }
+
+  const parsed = parseStatement(format, content, options);
+  if (parsed.error) {
+    return parsed;
+  }
+
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `A single import cannot exceed ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const rules = await findActiveRules(userId);
+  const rows = parsed.rows.map(({ row, errors, payload }) => {
+    const transaction = sanitizePayload({ ...payload, source: 'import' });
+    const validationError = errors.length
+      ? null
+      : normalizeTransactionPayload(transaction, { requireNameAndAmount: true });
+    if (!errors.length && !validationError) {
+      Object.assign(transaction, applyRules(rules, transaction));
+    }
+
+    return {
+      row,
+      errors: validationError ? [validationError] : errors,
+      transaction,
+    };
+  });
+
+  const referenceIds = rows
+    .filter((entry) => !entry.errors.length && entry.transaction.reference_id)
+    .map((entry) => entry.transaction.reference_id);
+
+  const existingReferences = referenceIds.length
+    ? new Set(
+        await Transaction.distinct('reference_id', { user: userId, reference_id: { $in: referenceIds } }).setOptions({
+          withDeleted: true,
+        })
+      )
+    : new Set();
+
+  const seenReferences = new Set();
+  rows.forEach((entry) => {
+    if (entry.errors.length) {
+      entry.status = 'invalid';
+      return;
+    }
+
+    const referenceId = entry.transaction.reference_id;
+    if (referenceId && (existingReferences.has(referenceId) || seenReferences.has(referenceId))) {
+      entry.status = 'duplicate';
+      return;
+    }
+
+    if (referenceId) {
+      seenReferences.add(referenceId);
+    }
+    entry.status = 'ready';
+  });
+
+  const countByStatus = (status) => rows.filter((entry) => entry.status === status).length;
+
+  return {
+    format,
+    columns: parsed.columns,
+    mapping: parsed.mapping,
+    rows,
+    summary: {
+      total: rows.length,
+      ready: countByStatus('ready'),
+      duplicates: countByStatus('duplicate'),
+      invalid: countByStatus('invalid'),
+    },
+  };
+};
+
+const describeInsertFailure = (failure) => {
+  if (failure instanceof Error) {
+    return failure.message;
+  }
+  const code = failure.err && failure.err.code;
+  return code === 11000 ? 'A transaction with this reference_id already exists' : 'Transaction could not be saved';
+};
+
+// Inserts every row it can. A failed row does not stop the others, and the failures are
+// reported by row so the client can fix and resend just those. `results` from Mongoose
+// holds, per row, the saved document or what went wrong with it.
+const insertReadyRows = async (userId, readyRows) => {
+  if (!readyRows.length) {
+    return { inserted: [], failed: [] };
+  }
+
+  let results;
+  try {
+    const result = await Transaction.insertMany(
+      readyRows.map((entry) => ({ user: userId, ...entry.transaction })),
+      { ordered: false, rawResult: true }
+    );
+    ({ results } = result.mongoose);
+  } catch (error) {
+    if (!error.writeErrors || !error.results) {
+      throw error;
+    }
+    ({ results } = error);
+  }
+
+  const inserted = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result instanceof Transaction) {
+      inserted.push(result);
+    } else {
+      failed.push({ ...readyRows[index], status: 'failed', errors: [describeInsertFailure(result)] });
+    }
+  });
+  return { inserted, failed };
+};
+
+exports.previewImport = async (req, res, next) => {
+  try {
+    const preview = await buildImportPreview(req.user._id, req.body);
+
+    if (preview.error) {
+      return res.status(400).json({ message: preview.error, columns: preview.columns, mapping: preview.mapping });
+    }
+
+    return res.json(preview);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.commitImport = async (req, res, next) => {
+  try {
+    const preview = await buildImportPreview(req.user._id, req.body);
+
+    if (preview.error) {
+      return res.status(400).json({ message: preview.error, columns: preview.columns, mapping: preview.mapping });
+    }
+
+    if (preview.summary.invalid && !req.body.skip_invalid) {
+      return res.status(400).json({
+        message: 'Import contains invalid rows',
+        summary: preview.summary,
+        rows: preview.rows.filter((entry) => entry.status === 'invalid'),
+      });
+    }
+
+    const readyRows = preview.rows.filter((entry) => entry.status === 'ready');
+    const converter = createRateConverter();
+    await Promise.all(
+      readyRows.map((entry) => applyBaseAmount(entry.transaction, req.user.baseCurrency, converter))
+    );
+    const { inserted, failed } = await insertReadyRows(req.user._id, readyRows);
+
+    const auditContext = auditContextFromRequest(req);
+    await recordAudit(inserted.map((transaction) => buildTransactionAuditEntry(auditContext, transaction)));
+
+    return res.status(201).json({
+      message: failed.length
+        ? `Imported ${inserted.length} transactions, ${failed.length} failed`
+        : `Imported ${inserted.length} transactions`,
+      summary: {
+        ...preview.summary,
+        imported: inserted.length,
+        failed: failed.length,
+      },
+      failed,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,95 @@
+const Notification = require('../models/Notification');
+const { encodeCursor, decodeCursor } = require('../utils/common');
+const { parseQueryBoolean } = require('../utils/transactionQuery');
+
+const DEFAULT_LIMIT = 20;
+
+const buildNotificationResponse = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  data: notification.data,
+  read: Boolean(notification.readAt),
+  readAt: notification.readAt,
+  createdAt: notification.createdAt,
+});
+
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const pageSize = typeof req.query.limit === 'undefined' ? DEFAULT_LIMIT : Number(req.query.limit);
+
+    const filter = { user: req.user._id };
+    if (parseQueryBoolean(req.query.unread) === true) {
+      filter.readAt = null;
+    }
+
+    let pageFilter = filter;
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor provided' });
+      }
+      pageFilter = {
+        ...filter,
+        $or: [{ createdAt: { $lt: cursor.date } }, { createdAt: cursor.date, _id: { $lt: cursor.id } }],
+      };
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(pageFilter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(pageSize + 1),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    const hasMore = notifications.length > pageSize;
+    const page = hasMore ? notifications.slice(0, pageSize) : notifications;
+
+    return res.json({
+      notifications: page.map(buildNotificationResponse),
+      unreadCount,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt') : null,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    return res.json({ unreadCount });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return res.json({ message: 'Notification marked as read', notification: buildNotificationResponse(notification) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user._id, readAt: null }, { readAt: new Date() });
+    return res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    return next(error);
+  }
+};
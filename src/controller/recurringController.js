@@ -0,0 +1,146 @@
+const RecurringSeries = require('../models/RecurringSeries');
+const Transaction = require('../models/Transaction');
+const { detectRecurringSeries, getNextDueDate } = require('../utils/recurringDetector');
+const { SPENDING_FILTER } = require('../utils/transactionQuery');
+const { DAY_IN_MS } = require('../utils/common');
+
+const DETECTION_WINDOW_DAYS = 400;
+const DEFAULT_UPCOMING_DAYS = 30;
+const SERIES_STATUSES = RecurringSeries.schema.path('status').enumValues;
+
+const buildSeriesResponse = (series) => ({
+  id: series._id,
+  name: series.name,
+  amount: series.amount,
+  interval: series.interval,
+  category: series.category,
+  payment_method: series.payment_method,
+  status: series.status,
+  confidence: series.confidence,
+  occurrences: series.occurrences,
+  firstChargedAt: series.firstChargedAt,
+  lastChargedAt: series.lastChargedAt,
+  nextDueDate: series.nextDueDate,
+  transactions: series.transactions,
+  createdAt: series.createdAt,
+  updatedAt: series.updatedAt,
+});
+
+const setSeriesStatus = (status, message) => async (req, res, next) => {
+  try {
+    const series = await RecurringSeries.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { status },
+      { new: true, runValidators: true }
+    );
+
+    if (!series) {
+      return res.status(404).json({ message: 'Recurring series not found' });
+    }
+
+    return res.json({ message, series: buildSeriesResponse(series) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.detectRecurring = async (req, res, next) => {
+  try {
+    const since = new Date(Date.now() - DETECTION_WINDOW_DAYS * DAY_IN_MS);
+    const transactions = await Transaction.find({
+      user: req.user._id,
+      ...SPENDING_FILTER,
+      transaction_date: { $gte: since },
+    })
+      .select('name amount category payment_method transaction_date')
+      .lean();
+
+    const detected = detectRecurringSeries(transactions);
+
+    // One upsert at a time: parallel upserts on the unique (user, merchantKey, interval)
+    // index can race each other into duplicate key errors.
+    const series = [];
+    for (const { merchantKey, interval, ...stats } of detected) {
+      series.push(
+        await RecurringSeries.findOneAndUpdate(
+          { user: req.user._id, merchantKey, interval },
+          { $set: stats, $setOnInsert: { status: 'detected' } },
+          { new: true, upsert: true, runValidators: true }
+        )
+      );
+    }
+
+    return res.json({
+      message: `Detected ${series.length} recurring series`,
+      series: series.map(buildSeriesResponse),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getRecurring = async (req, res, next) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status)
+          .split(',')
+          .map((status) => status.trim())
+          .filter(Boolean)
+      : ['detected', 'confirmed'];
+
+    if (statuses.some((status) => !SERIES_STATUSES.includes(status))) {
+      return res.status(400).json({ message: `Status must be one of: ${SERIES_STATUSES.join(', ')}` });
+    }
+
+    const series = await RecurringSeries.find({ user: req.user._id, status: { $in: statuses } }).sort({
+      nextDueDate: 1,
+    });
+
+    return res.json({ series: series.map(buildSeriesResponse) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getUpcomingCharges = async (req, res, next) => {
+  try {
+    const days = typeof req.query.days === 'undefined' ? DEFAULT_UPCOMING_DAYS : Number(req.query.days);
+
+    const now = new Date();
+    const until = new Date(now.getTime() + days * DAY_IN_MS);
+    const series = await RecurringSeries.find({ user: req.user._id, status: { $in: ['detected', 'confirmed'] } });
+
+    const upcoming = series
+      .map((entry) => ({ entry, dueDate: getNextDueDate(entry.lastChargedAt, entry.interval, now) }))
+      .filter(({ dueDate }) => dueDate && dueDate <= until)
+      .sort((a, b) => a.dueDate - b.dueDate)
+      .map(({ entry, dueDate }) => ({ ...buildSeriesResponse(entry), nextDueDate: dueDate }));
+
+    return res.json({
+      from: now,
+      until,
+      total: Number(upcoming.reduce((sum, entry) => sum + entry.amount, 0).toFixed(2)),
+      charges: upcoming,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.confirmRecurring = setSeriesStatus('confirmed', 'Recurring series confirmed');
+
+exports.dismissRecurring = setSeriesStatus('dismissed', 'Recurring series dismissed');
+
+exports.deleteRecurring = async (req, res, next) => {
+  try {
+    const series = await RecurringSeries.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!series) {
+      return res.status(404).json({ message: 'Recurring series not found' });
+    }
+
+    return res.json({ message: 'Recurring series deleted successfully' });
+  } catch (error) {
+    return next(error);
+  }
+};
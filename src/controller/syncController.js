@@ -0,0 +1,32 @@
+const { pullChanges } = require('../utils/sync');
+const { applyMutations } = require('../utils/syncMutations');
+const { auditContextFromRequest } = require('../utils/audit');
+
+exports.getChanges = async (req, res, next) => {
+  try {
+    const changes = await pullChanges(req.user, req.query.cursor);
+    if (changes.error) {
+      return res.status(400).json({ message: changes.error });
+    }
+
+    return res.json(changes);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Mutations are applied before the pull, so the returned changes already include them
+// along with anything other devices changed in the meantime.
+exports.pushChanges = async (req, res, next) => {
+  try {
+    const results = await applyMutations(req.body.mutations || [], req.user, auditContextFromRequest(req));
+    const changes = await pullChanges(req.user, req.body.cursor);
+    if (changes.error) {
+      return res.status(400).json({ message: changes.error, results });
+    }
+
+    return res.json({ results, ...changes });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,128 +1,216 @@
 const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const { parseSms } = require('../utils/sms');
+const { buildTransactionFilter, paginateTransactions } = require('../utils/transactionQuery');
+const {
+  sanitizePayload,
+  normalizeTransactionPayload,
+  buildTransactionResponse,
+} = require('../utils/transactionPayload');
+const { readIdempotencyKey, createTransactionOnce } = require('../utils/transactionDuplicates');
+const {
+  applyAutoSaveRules,
+  fundGoalFromTransaction,
+  syncLinkedContributions,
+  restoreLinkedContributions,
+} = require('../utils/goalFunding');
+const { findAccessibleGoal, canContribute } = require('../utils/goalAccess');
+const { applyBaseAmount, usesBaseAmountFields, assignBaseAmount } = require('../utils/currency');
+const {
+  auditContextFromRequest,
+  snapshotTransaction,
+  recordTransactionChange,
+  findAuditPage,
+} = require('../utils/audit');
+const { TRASH_RETENTION_DAYS, getPurgeDate, findTrashPage, trashTransaction } = require('../utils/trash');
+const {
+  categorizePayload,
+  isManualRecategorization,
+  learnFromRecategorization,
+} = require('../utils/categoryRules');
+
+const IDEMPOTENCY_CONFLICT = {
+  message: 'Idempotency-Key was already used for a different transaction',
+  code: 'IDEMPOTENCY_KEY_REUSED',
+};
 
-const allowedFields = [
-  'name',
-  'amount',
-  'category',
-  'transaction_date',
-  'note',
-  'payment_method',
-  'reference_id',
-  'source',
-  'sms_body',
-  'is_auto',
-];
-
-const sanitizePayload = (payload = {}) =>
-  allowedFields.reduce((acc, field) => {
-    if (typeof payload[field] !== 'undefined') {
-      acc[field] = payload[field];
-    }
-    return acc;
-  }, {});
-
-const normalizeAmount = (value) => {
-  const numeric = Number(value);
-  if (Number.isNaN(numeric)) {
-    return null;
+const handleDuplicateReference = (res, error) => {
+  if (error && error.code === 11000) {
+    return res
+      .status(409)
+      .json({ message: 'A transaction with this reference_id already exists', code: 'DUPLICATE_REFERENCE' });
   }
-  return numeric;
+  return null;
 };
 
-const normalizeTransactionDate = (value) => {
-  const date = value instanceof Date ? value : new Date(value);
-  if (Number.isNaN(date.getTime())) {
+// Loads the document instead of using findOneAndUpdate so the audit log can record
+// the values before the change.
+const applyTransactionUpdate = async (req, transactionPayload) => {
+  const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user._id });
+  if (!transaction) {
     return null;
   }
-  return date;
+
+  const before = snapshotTransaction(transaction);
+  transaction.set(transactionPayload);
+  const recategorized = isManualRecategorization(before.category, transaction);
+  if (recategorized) {
+    transaction.category_rule = null;
+  }
+  if (usesBaseAmountFields(Object.keys(transactionPayload))) {
+    await assignBaseAmount(transaction, req.user.baseCurrency);
+  }
+  await transaction.save();
+
+  const auditContext = auditContextFromRequest(req);
+  await recordTransactionChange(auditContext, transaction, { before });
+  await syncLinkedContributions(transaction, auditContext);
+  if (recategorized) {
+    await learnFromRecategorization(transaction);
+  }
+  return transaction;
 };
 
-const normalizeTransactionPayload = (payload, { requireNameAndAmount = false } = {}) => {
-  if (requireNameAndAmount) {
-    if (!payload.name || typeof payload.amount === 'undefined') {
-      return 'Name and amount are required';
+exports.createTransaction = async (req, res, next) => {
+  try {
+    const { key: idempotencyKey, error: keyError } = readIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ message: keyError });
     }
-  }
 
-  if (payload.name) {
-    payload.name = payload.name.trim();
-    if (!payload.name.length) {
-      return 'Name cannot be empty';
+    const transactionPayload = sanitizePayload(req.body);
+    const validationError = normalizeTransactionPayload(transactionPayload, { requireNameAndAmount: true });
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
-  }
 
-  if (Object.prototype.hasOwnProperty.call(payload, 'amount')) {
-    const normalizedAmount = normalizeAmount(payload.amount);
-    if (normalizedAmount === null || normalizedAmount < 0) {
-      return 'Amount must be a non-negative number';
+    await categorizePayload(req.user._id, transactionPayload);
+    await applyBaseAmount(transactionPayload, req.user.baseCurrency);
+    const { transaction, duplicate, conflict } = await createTransactionOnce(
+      req.user._id,
+      transactionPayload,
+      idempotencyKey
+    );
+    if (conflict) {
+      return res.status(422).json(IDEMPOTENCY_CONFLICT);
     }
-    payload.amount = normalizedAmount;
-  }
 
-  if (Object.prototype.hasOwnProperty.call(payload, 'transaction_date')) {
-    const normalizedDate = normalizeTransactionDate(payload.transaction_date);
-    if (normalizedDate === null) {
-      return 'Invalid transaction_date provided';
+    if (duplicate) {
+      return res.json({
+        message: 'Duplicate transaction ignored',
+        duplicate: true,
+        transaction: buildTransactionResponse(transaction),
+      });
     }
-    payload.transaction_date = normalizedDate;
-  }
 
-  return null;
-};
+    const auditContext = auditContextFromRequest(req);
+    await recordTransactionChange(auditContext, transaction);
+    const autoSaved = await applyAutoSaveRules(transaction, auditContext);
 
-const buildTransactionResponse = (transaction) => ({
-  id: transaction._id,
-  name: transaction.name,
-  amount: transaction.amount,
-  category: transaction.category,
-  transaction_date: transaction.transaction_date,
-  note: transaction.note,
-  payment_method: transaction.payment_method,
-  reference_id: transaction.reference_id,
-  source: transaction.source,
-  sms_body: transaction.sms_body,
-  is_auto: transaction.is_auto,
-  createdAt: transaction.createdAt,
-  updatedAt: transaction.updatedAt,
-});
-
-const handleServerError = (res, error, logPrefix) => {
-  console.error(`${logPrefix}:`, error);
-  return res.status(500).json({ message: 'Server error' });
+    return res.status(201).json({
+      message: 'Transaction created successfully',
+      duplicate: false,
+      transaction: buildTransactionResponse(transaction),
+      autoSaved,
+    });
+  } catch (error) {
+    return next(error);
+  }
 };
 
-exports.createTransaction = async (req, res) => {
+exports.createTransactionFromSms = async (req, res, next) => {
   try {
-    const transactionPayload = sanitizePayload(req.body);
-    const validationError = normalizeTransactionPayload(transactionPayload, { requireNameAndAmount: true });
+    const { key: idempotencyKey, error: keyError } = readIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ message: keyError });
+    }
 
+    const { sms_body: smsBody, sender, received_at: receivedAt, category, note } = req.body;
+    const parsed = parseSms(smsBody, { sender, receivedAt });
+
+    if (!parsed.ok) {
+      return res.status(422).json({ message: parsed.message, reason: parsed.reason });
+    }
+
+    const transactionPayload = sanitizePayload({
+      name: parsed.merchant || `${parsed.bank || 'Bank'} ${parsed.direction}`,
+      amount: parsed.amount,
+      type: parsed.direction,
+      category,
+      transaction_date: parsed.transaction_date,
+      note,
+      payment_method: parsed.payment_method || undefined,
+      reference_id: parsed.reference_id || undefined,
+      source: 'sms',
+      sms_body: smsBody,
+      is_auto: true,
+    });
+
+    const validationError = normalizeTransactionPayload(transactionPayload, { requireNameAndAmount: true });
     if (validationError) {
       return res.status(400).json({ message: validationError });
     }
 
-    const transaction = await Transaction.create({
-      user: req.user._id,
-      ...transactionPayload,
-    });
+    await categorizePayload(req.user._id, transactionPayload);
+    await applyBaseAmount(transactionPayload, req.user.baseCurrency);
+    const { transaction, duplicate, conflict } = await createTransactionOnce(
+      req.user._id,
+      transactionPayload,
+      idempotencyKey
+    );
+    if (conflict) {
+      return res.status(422).json(IDEMPOTENCY_CONFLICT);
+    }
 
-    return res
-      .status(201)
-      .json({ message: 'Transaction created successfully', transaction: buildTransactionResponse(transaction) });
+    let autoSaved = [];
+    if (!duplicate) {
+      const auditContext = auditContextFromRequest(req);
+      await recordTransactionChange(auditContext, transaction);
+      autoSaved = await applyAutoSaveRules(transaction, auditContext);
+    }
+
+    return res.status(duplicate ? 200 : 201).json({
+      message: duplicate ? 'Duplicate transaction ignored' : 'Transaction created from SMS',
+      duplicate,
+      transaction: buildTransactionResponse(transaction),
+      autoSaved,
+      parsed: {
+        template: parsed.template,
+        bank: parsed.bank,
+        direction: parsed.direction,
+        merchant: parsed.merchant,
+      },
+    });
   } catch (error) {
-    return handleServerError(res, error, 'Create transaction error');
+    return next(error);
   }
 };
 
-exports.getTransactions = async (req, res) => {
+exports.getTransactions = async (req, res, next) => {
   try {
-    const transactions = await Transaction.find({ user: req.user._id }).sort({ transaction_date: -1, createdAt: -1 });
-    return res.json({ transactions: transactions.map(buildTransactionResponse) });
+    const { filter, error: filterError } = buildTransactionFilter(req.user._id, req.query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+
+    const page = await paginateTransactions(Transaction, filter, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    return res.json({
+      transactions: page.transactions.map(buildTransactionResponse),
+      total: page.total,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    });
   } catch (error) {
-    return handleServerError(res, error, 'Get transactions error');
+    return next(error);
   }
 };
 
-exports.getTransactionById = async (req, res) => {
+exports.getTransactionById = async (req, res, next) => {
   try {
     const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user._id });
 
@@ -132,11 +220,11 @@ exports.getTransactionById = async (req, res) => {
 
     return res.json({ transaction: buildTransactionResponse(transaction) });
   } catch (error) {
-    return handleServerError(res, error, 'Get transaction error');
+    return next(error);
   }
 };
 
-exports.updateTransaction = async (req, res) => {
+exports.updateTransaction = async (req, res, next) => {
   try {
     const transactionPayload = sanitizePayload(req.body);
     const validationError = normalizeTransactionPayload(transactionPayload, { requireNameAndAmount: true });
@@ -145,11 +233,7 @@ exports.updateTransaction = async (req, res) => {
       return res.status(400).json({ message: validationError });
     }
 
-    const transaction = await Transaction.findOneAndUpdate(
-      { _id: req.params.id, user: req.user._id },
-      transactionPayload,
-      { new: true, runValidators: true }
-    );
+    const transaction = await applyTransactionUpdate(req, transactionPayload);
 
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found' });
@@ -157,11 +241,11 @@ exports.updateTransaction = async (req, res) => {
 
     return res.json({ message: 'Transaction updated successfully', transaction: buildTransactionResponse(transaction) });
   } catch (error) {
-    return handleServerError(res, error, 'Update transaction error');
+    return handleDuplicateReference(res, error) || next(error);
   }
 };
 
-exports.partialUpdateTransaction = async (req, res) => {
+exports.partialUpdateTransaction = async (req, res, next) => {
   try {
     const transactionPayload = sanitizePayload(req.body);
 
@@ -174,11 +258,7 @@ exports.partialUpdateTransaction = async (req, res) => {
       return res.status(400).json({ message: validationError });
     }
 
-    const transaction = await Transaction.findOneAndUpdate(
-      { _id: req.params.id, user: req.user._id },
-      transactionPayload,
-      { new: true, runValidators: true }
-    );
+    const transaction = await applyTransactionUpdate(req, transactionPayload);
 
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found' });
@@ -186,20 +266,164 @@ exports.partialUpdateTransaction = async (req, res) => {
 
     return res.json({ message: 'Transaction updated successfully', transaction: buildTransactionResponse(transaction) });
   } catch (error) {
-    return handleServerError(res, error, 'Partial update transaction error');
+    return handleDuplicateReference(res, error) || next(error);
+  }
+};
+
+exports.deleteTransaction = async (req, res, next) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    const trashed = await trashTransaction(transaction, auditContextFromRequest(req));
+    if (!trashed) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    return res.json({
+      message: 'Transaction moved to trash',
+      deletedAt: trashed.deletedAt,
+      purgeAt: getPurgeDate(trashed.deletedAt),
+    });
+  } catch (error) {
+    return next(error);
   }
 };
 
-exports.deleteTransaction = async (req, res) => {
+exports.getTrashedTransactions = async (req, res, next) => {
   try {
-    const transaction = await Transaction.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    const page = await findTrashPage(Transaction, { user: req.user._id }, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    return res.json({
+      transactions: page.items.map((transaction) => ({
+        ...buildTransactionResponse(transaction),
+        purgeAt: getPurgeDate(transaction.deletedAt),
+      })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.restoreTransaction = async (req, res, next) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      deletedAt: { $ne: null },
+    });
 
     if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found in trash' });
+    }
+
+    const before = snapshotTransaction(transaction);
+    const auditContext = auditContextFromRequest(req);
+    const trashedContributions = transaction.trashedContributions.map(({ goal, contribution }) => ({
+      goal,
+      contribution,
+    }));
+
+    transaction.deletedAt = null;
+    transaction.trashedContributions = [];
+    // Trashed rows are skipped when base amounts are recomputed, so refresh in case the
+    // base currency or the rates changed in the meantime.
+    await assignBaseAmount(transaction, req.user.baseCurrency);
+    await transaction.save();
+    await recordTransactionChange(auditContext, transaction, { before, action: 'restore' });
+    const restoredContributions = await restoreLinkedContributions(trashedContributions, auditContext);
+
+    return res.json({
+      message: 'Transaction restored',
+      transaction: buildTransactionResponse(transaction),
+      restoredContributions,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.fundGoal = async (req, res, next) => {
+  try {
+    const { goal_id: goalId } = req.body;
+
+    const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    if (!transaction.amount) {
+      return res.status(400).json({ message: 'Transaction amount must be greater than zero' });
+    }
+
+    const { goal, role } = await findAccessibleGoal(goalId, req.user._id);
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    if (!canContribute(role)) {
+      return res.status(403).json({ message: 'You do not have permission to contribute to this goal' });
+    }
+
+    const alreadyLinked = goal.contributions.some(
+      (entry) => entry.source === 'transaction' && String(entry.transaction) === String(transaction._id)
+    );
+    if (alreadyLinked) {
+      return res.status(409).json({ message: 'Transaction already funds this goal' });
+    }
+
+    const funded = await fundGoalFromTransaction(goal, transaction, auditContextFromRequest(req));
+    if (!funded) {
+      return res.status(400).json({
+        message: `No exchange rate available from ${transaction.currency} to ${goal.currency}`,
+      });
+    }
+
+    return res.status(201).json({
+      message: 'Goal funded from transaction',
+      transaction: buildTransactionResponse(transaction),
+      goal: {
+        id: goal._id,
+        name: goal.name,
+        savedAmount: goal.savedAmount,
+        progress: goal.progress,
+        isCompleted: goal.isCompleted,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Deleted transactions keep their history, so either the document or an audit entry
+// is enough to show it.
+exports.getTransactionHistory = async (req, res, next) => {
+  try {
+    const filter = { user: req.user._id, resourceType: 'transaction', resource: req.params.id };
+    const exists =
+      (await Transaction.exists({ _id: req.params.id, user: req.user._id })) || (await AuditLog.exists(filter));
+    if (!exists) {
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
-    return res.json({ message: 'Transaction deleted successfully' });
+    const page = await findAuditPage(filter, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    return res.json(page);
   } catch (error) {
-    return handleServerError(res, error, 'Delete transaction error');
+    return next(error);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,155 @@
+const User = require('../models/User');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { generateRecoveryCodes, countRemainingRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+const { getLoginLock, recordLoginFailure, clearLoginFailures, respondLocked } = require('../utils/loginThrottle');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Goals';
+
+// Failed checks count toward the same lockout as logins, so a stolen session cannot be
+// used to guess codes one endpoint at a time.
+const rejectSecondFactor = async (res, user, message) => {
+  const lockedUntil = await recordLoginFailure(user.email);
+  return lockedUntil ? respondLocked(res, lockedUntil) : res.status(401).json({ message });
+};
+
+const buildStatusResponse = (user) => ({
+  enabled: user.twoFactor.enabled,
+  enabledAt: user.twoFactor.enabledAt || null,
+  pendingSetup: Boolean(user.twoFactor.pendingSecret),
+  recoveryCodesRemaining: user.twoFactor.enabled ? countRemainingRecoveryCodes(user) : 0,
+});
+
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    return res.json({ twoFactor: buildStatusResponse(user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return res.json({
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER }),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const counter = verifyCode(user.twoFactor.pendingSecret, code);
+    if (counter === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedCounter = counter;
+    user.twoFactor.recoveryCodes = hashed;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'A code or recoveryCode is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const lock = await getLoginLock(user.email);
+    if (lock) {
+      return respondLocked(res, lock);
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+      return rejectSecondFactor(res, user, 'Invalid password or two-factor code');
+    }
+
+    await clearLoginFailures(user.email);
+    user.twoFactor = { enabled: false, recoveryCodes: [], lastUsedCounter: 0 };
+    await user.save();
+
+    return res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const lock = await getLoginLock(user.email);
+    if (lock) {
+      return respondLocked(res, lock);
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return rejectSecondFactor(res, user, 'Invalid two-factor code');
+    }
+
+    await clearLoginFailures(user.email);
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save();
+
+    return res.json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,335 @@
+// Response shapes, mirroring the controllers' build*Response helpers. Request shapes are
+// not listed here: they are generated from the validation schemas in src/schemas.
+const id = { type: 'string', description: 'MongoDB ObjectId' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableDateTime = { type: 'string', format: 'date-time', nullable: true };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['message', 'code'],
+    properties: {
+      message: { type: 'string', description: 'Human readable; do not branch on it' },
+      code: { type: 'string', description: 'Machine-readable error code, e.g. VALIDATION_FAILED or NOT_FOUND' },
+      details: { type: 'array', items: ref('ErrorDetail') },
+    },
+  },
+  ErrorDetail: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'Dotted path of the offending field' },
+      location: { type: 'string', enum: ['params', 'query', 'body'] },
+      code: { type: 'string', description: 'e.g. required, invalid_type, too_small, invalid_enum' },
+      message: { type: 'string' },
+    },
+  },
+  Message: {
+    type: 'object',
+    properties: { message: { type: 'string' } },
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id,
+      name: { type: 'string' },
+      email: { type: 'string' },
+      emailVerified: { type: 'boolean' },
+      twoFactorEnabled: { type: 'boolean' },
+      baseCurrency: { type: 'string' },
+      role: { type: 'string', enum: ['user', 'admin'] },
+    },
+  },
+  AuthTokens: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      accessToken: { type: 'string', description: 'Short-lived JWT for the Authorization header' },
+      token: { type: 'string', deprecated: true, description: 'Same value as accessToken; kept for older clients' },
+      refreshToken: { type: 'string', description: 'Rotated on every refresh; reuse revokes the session' },
+      user: ref('User'),
+    },
+  },
+  TwoFactorChallenge: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      twoFactorRequired: { type: 'boolean', enum: [true] },
+      challengeToken: { type: 'string', description: 'Send to POST /api/auth/login/2fa with a code' },
+    },
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      userAgent: { type: 'string', nullable: true },
+      ip: { type: 'string', nullable: true },
+      createdAt: dateTime,
+      lastUsedAt: dateTime,
+      expiresAt: dateTime,
+      current: { type: 'boolean' },
+    },
+  },
+  LoginAttempt: {
+    type: 'object',
+    properties: {
+      id,
+      reason: { type: 'string', enum: ['invalid_password', 'invalid_two_factor', 'locked'] },
+      ip: { type: 'string', nullable: true },
+      userAgent: { type: 'string', nullable: true },
+      createdAt: dateTime,
+    },
+  },
+  TwoFactorStatus: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      enabledAt: nullableDateTime,
+      pendingSetup: { type: 'boolean' },
+      recoveryCodesRemaining: { type: 'integer' },
+    },
+  },
+  Transaction: {
+    type: 'object',
+    properties: {
+      id,
+      name: { type: 'string' },
+      amount: { type: 'number' },
+      currency: { type: 'string' },
+      base_amount: { type: 'number', description: 'Amount in the user base currency at transaction_date' },
+      type: { type: 'string', enum: ['debit', 'credit', 'transfer'] },
+      category: { type: 'string' },
+      category_rule: { ...id, nullable: true, description: 'Category rule that set the category, if any' },
+      tags: { type: 'array', items: { type: 'string' } },
+      transaction_date: dateTime,
+      note: { type: 'string' },
+      payment_method: { type: 'string' },
+      reference_id: { type: 'string' },
+      source: { type: 'string' },
+      sms_body: { type: 'string' },
+      is_auto: { type: 'boolean' },
+      deletedAt: { ...nullableDateTime, description: 'Set while the transaction is in the trash' },
+      version: { type: 'integer', description: 'Incremented on every change; send back as baseVersion when syncing' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  Contribution: {
+    type: 'object',
+    properties: {
+      _id: id,
+      amount: { type: 'number' },
+      type: { type: 'string', enum: ['deposit', 'withdrawal'] },
+      currency: { type: 'string' },
+      convertedAmount: { type: 'number', description: 'Amount in the goal currency when it differs' },
+      note: { type: 'string' },
+      source: { type: 'string', enum: ['manual', 'transaction', 'rule'] },
+      transaction: id,
+      rule: id,
+      contributor: id,
+      createdAt: dateTime,
+    },
+  },
+  GoalMember: {
+    type: 'object',
+    properties: {
+      user: id,
+      role: { type: 'string', enum: ['contributor', 'viewer'] },
+      joinedAt: dateTime,
+    },
+  },
+  Goal: {
+    type: 'object',
+    properties: {
+      id,
+      owner: id,
+      role: { type: 'string', enum: ['owner', 'contributor', 'viewer'] },
+      name: { type: 'string' },
+      amount: { type: 'number' },
+      currency: { type: 'string' },
+      savedAmount: { type: 'number' },
+      remainingAmount: { type: 'number' },
+      baseCurrency: { type: 'string' },
+      amountInBaseCurrency: { type: 'number', nullable: true },
+      savedAmountInBaseCurrency: { type: 'number', nullable: true },
+      description: { type: 'string' },
+      category: { type: 'string' },
+      targetDate: nullableDateTime,
+      isCompleted: { type: 'boolean' },
+      progress: { type: 'number' },
+      deletedAt: { ...nullableDateTime, description: 'Set while the goal is in the trash' },
+      version: { type: 'integer', description: 'Incremented on every change; send back as baseVersion when syncing' },
+      notes: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      contributions: { type: 'array', items: ref('Contribution') },
+      members: { type: 'array', items: ref('GoalMember') },
+      memberTotals: { type: 'array', items: { type: 'object' } },
+      forecast: { type: 'object', description: 'Savings velocity, projected completion and status' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  GoalInvitation: {
+    type: 'object',
+    properties: {
+      id,
+      goal: { oneOf: [id, { type: 'object', properties: { id, name: { type: 'string' } } }] },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ['contributor', 'viewer'] },
+      status: { type: 'string' },
+      expiresAt: dateTime,
+      createdAt: dateTime,
+    },
+  },
+  Budget: {
+    type: 'object',
+    properties: {
+      id,
+      category: { type: 'string' },
+      limit: { type: 'number' },
+      rollover: { type: 'boolean' },
+      notes: { type: 'string' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  AutoSaveRule: {
+    type: 'object',
+    properties: {
+      id,
+      goal: id,
+      name: { type: 'string' },
+      type: { type: 'string', enum: ['round_up', 'percentage', 'fixed'] },
+      trigger: { type: 'string', enum: ['debit', 'credit', 'any'] },
+      roundTo: { type: 'number' },
+      percentage: { type: 'number' },
+      amount: { type: 'number' },
+      category: { type: 'string', nullable: true },
+      isActive: { type: 'boolean' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  CategoryRule: {
+    type: 'object',
+    properties: {
+      id,
+      name: { type: 'string' },
+      match: {
+        type: 'object',
+        description: 'Conditions that must all match',
+        properties: {
+          name: { type: 'string' },
+          smsPattern: { type: 'string' },
+          minAmount: { type: 'number' },
+          maxAmount: { type: 'number' },
+          payment_method: { type: 'string' },
+        },
+      },
+      category: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      rename: { type: 'string' },
+      priority: { type: 'integer' },
+      status: { type: 'string', enum: ['active', 'paused', 'suggested', 'dismissed'] },
+      occurrences: { type: 'integer', description: 'Manual recategorizations that led to a suggestion' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  Notification: {
+    type: 'object',
+    properties: {
+      id,
+      type: { type: 'string' },
+      title: { type: 'string' },
+      message: { type: 'string' },
+      data: { type: 'object' },
+      read: { type: 'boolean' },
+      readAt: nullableDateTime,
+      createdAt: dateTime,
+    },
+  },
+  RecurringSeries: {
+    type: 'object',
+    properties: {
+      id,
+      name: { type: 'string' },
+      amount: { type: 'number' },
+      interval: { type: 'string' },
+      category: { type: 'string' },
+      payment_method: { type: 'string' },
+      status: { type: 'string' },
+      confidence: { type: 'number' },
+      occurrences: { type: 'integer' },
+      firstChargedAt: dateTime,
+      lastChargedAt: dateTime,
+      nextDueDate: dateTime,
+      transactions: { type: 'array', items: id },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  ExchangeRate: {
+    type: 'object',
+    properties: {
+      id,
+      base: { type: 'string' },
+      quote: { type: 'string' },
+      rate: { type: 'number' },
+      effectiveDate: dateTime,
+      uploadedBy: id,
+      updatedAt: dateTime,
+    },
+  },
+  SyncTombstone: {
+    type: 'object',
+    description: 'A goal or transaction deleted (moved to trash) since the cursor',
+    properties: { id, deletedAt: dateTime, version: { type: 'integer' } },
+  },
+  SyncResult: {
+    type: 'object',
+    properties: {
+      mutationId: { type: 'string' },
+      entity: { type: 'string', enum: ['goal', 'transaction'] },
+      op: { type: 'string', enum: ['create', 'update', 'delete'] },
+      id,
+      status: { type: 'string', enum: ['applied', 'conflict', 'rejected'] },
+      record: { type: 'object', description: 'Saved goal, transaction or tombstone when applied' },
+      reason: {
+        type: 'string',
+        enum: ['version_mismatch', 'deleted', 'not_found'],
+        description: 'Why a conflict was reported',
+      },
+      server: { type: 'object', nullable: true, description: 'Current server record or tombstone on conflict' },
+      message: { type: 'string', description: 'Why the mutation was rejected' },
+    },
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id,
+      resourceType: { type: 'string', enum: ['goal', 'contribution', 'transaction'] },
+      resource: id,
+      goal: { ...id, nullable: true },
+      action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+      changes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { field: { type: 'string' }, before: {}, after: {} },
+        },
+      },
+      actor: { ...id, nullable: true, description: 'Null for changes made by background jobs' },
+      user: { ...id, description: 'Owner of the resource' },
+      requestId: { type: 'string', description: 'X-Request-Id of the request that made the change' },
+      createdAt: dateTime,
+    },
+  },
+};
+
+module.exports = {
+  schemas,
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+  },
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const components = require('./components');
+const packageJson = require('../../package.json');
+
+// Builds an OpenAPI 3.0 document by walking the mounted routers. Request parameters and
+// bodies come from the `validate()` schemas attached to each route, so the document
+// changes whenever the validation rules do.
+const PRIMITIVE_SHAPES = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  integer: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  object: { type: 'object' },
+};
+
+const errorResponse = (description, headers) => ({
+  description,
+  ...(headers ? { headers } : {}),
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+const ERROR_RESPONSES = {
+  BadRequest: errorResponse('Validation failed (code VALIDATION_FAILED, with per-field details)'),
+  Unauthorized: errorResponse('Missing, invalid or revoked access token'),
+  Forbidden: errorResponse('Not allowed to perform this action'),
+  NotFound: errorResponse('Resource not found'),
+  Conflict: errorResponse('Conflicts with an existing resource'),
+  TooManyRequests: errorResponse('Rate limited or temporarily locked out', {
+    'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } },
+  }),
+  ServerError: errorResponse('Unexpected server error (code INTERNAL_ERROR)'),
+};
+
+const ruleToSchema = (rule) => {
+  const schema =
+    rule.type === 'objectId'
+      ? { type: 'string', pattern: '^[a-fA-F0-9]{24}$' }
+      : { ...(PRIMITIVE_SHAPES[rule.type] || { type: 'string' }) };
+
+  if (rule.enum) {
+    schema.enum = rule.enum;
+  }
+  if (rule.description) {
+    schema.description = rule.description;
+  }
+  if (rule.nullable) {
+    schema.nullable = true;
+  }
+  if (typeof rule.minLength === 'number') {
+    schema.minLength = rule.minLength;
+  }
+  if (typeof rule.maxLength === 'number') {
+    schema.maxLength = rule.maxLength;
+  }
+  if (rule.pattern) {
+    schema.pattern = rule.pattern.source;
+  }
+  if (typeof rule.min === 'number') {
+    schema.minimum = rule.min;
+  }
+  if (typeof rule.exclusiveMin === 'number') {
+    schema.minimum = rule.exclusiveMin;
+    schema.exclusiveMinimum = true;
+  }
+  if (typeof rule.max === 'number') {
+    schema.maximum = rule.max;
+  }
+  if (typeof rule.minItems === 'number') {
+    schema.minItems = rule.minItems;
+  }
+  if (typeof rule.maxItems === 'number') {
+    schema.maxItems = rule.maxItems;
+  }
+  if (rule.items) {
+    schema.items = ruleToSchema(rule.items);
+  }
+  if (rule.properties) {
+    Object.assign(schema, fieldsToSchema(rule.properties));
+  }
+  return schema;
+};
+
+const fieldsToSchema = (fields) => {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([name, rule]) => [name, ruleToSchema(rule)])),
+    ...(required.length ? { required } : {}),
+  };
+};
+
+// Response shorthand used in the schema files: component names, primitive names,
+// one-element arrays for lists, nested objects and `A|B` for alternatives.
+const describeShape = (shape) => {
+  if (typeof shape === 'string' && shape.includes('|')) {
+    return { oneOf: shape.split('|').map((option) => describeShape(option.trim())) };
+  }
+  if (Array.isArray(shape)) {
+    return { type: 'array', items: describeShape(shape[0]) };
+  }
+  if (shape && typeof shape === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(shape).map(([name, value]) => [name, describeShape(value)])),
+    };
+  }
+  if (PRIMITIVE_SHAPES[shape]) {
+    return { ...PRIMITIVE_SHAPES[shape] };
+  }
+  return { $ref: `#/components/schemas/${shape}` };
+};
+
+const CONTROLLER_DIR = path.join(__dirname, '..', 'controller');
+
+// Controllers export arrow functions, which carry no `name`, so operation ids are taken
+// from the export names instead. Resolved lazily: the docs controller requires this file.
+const collectHandlerNames = () => {
+  const names = new Map();
+  fs.readdirSync(CONTROLLER_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .forEach((file) => {
+      Object.entries(require(path.join(CONTROLLER_DIR, file))).forEach(([name, handler]) => {
+        if (typeof handler === 'function' && !names.has(handler)) {
+          names.set(handler, name);
+        }
+      });
+    });
+  return names;
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const getPathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+
+const humanize = (name) => {
+  const words = name.replace(/([A-Z])/g, ' $1').toLowerCase().trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const buildParameters = (path, schema) => {
+  const pathFields = schema.params || {};
+  const pathParams = getPathParamNames(path).map((name) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: pathFields[name] ? ruleToSchema(pathFields[name]) : { type: 'string' },
+    ...(pathFields[name] && pathFields[name].description ? { description: pathFields[name].description } : {}),
+  }));
+
+  const queryParams = Object.entries(schema.query || {}).map(([name, rule]) => ({
+    name,
+    in: 'query',
+    required: Boolean(rule.required),
+    schema: ruleToSchema(rule),
+    ...(rule.description ? { description: rule.description } : {}),
+  }));
+
+  // Headers are documented only; the controllers read and check them.
+  const headerParams = Object.entries(schema.headers || {}).map(([name, rule]) => ({
+    name,
+    in: 'header',
+    required: Boolean(rule.required),
+    schema: ruleToSchema(rule),
+    ...(rule.description ? { description: rule.description } : {}),
+  }));
+
+  return [...pathParams, ...queryParams, ...headerParams];
+};
+
+const buildSuccessResponses = (schema) => {
+  const declared = schema.responses || { 200: 'Message' };
+
+  return Object.fromEntries(
+    Object.entries(declared).map(([status, shape]) => {
+      if (schema.produces) {
+        return [
+          status,
+          {
+            description: 'Success',
+            content: Object.fromEntries(
+              schema.produces.map((type) => [
+                type,
+                { schema: type === 'application/json' ? describeShape(shape) : { type: 'string' } },
+              ])
+            ),
+          },
+        ];
+      }
+      return [status, { description: 'Success', content: { 'application/json': { schema: describeShape(shape) } } }];
+    })
+  );
+};
+
+const buildErrorResponses = (path, schema, flags) => {
+  const responses = {};
+  const ref = (name) => ({ $ref: `#/components/responses/${name}` });
+
+  if (schema.params || schema.query || schema.body) {
+    responses[400] = ref('BadRequest');
+  }
+  if (flags.auth) {
+    responses[401] = ref('Unauthorized');
+  }
+  if (flags.admin) {
+    responses[403] = ref('Forbidden');
+  }
+  if (getPathParamNames(path).length) {
+    responses[404] = ref('NotFound');
+  }
+  (schema.errors || []).forEach((status) => {
+    const named = { 401: 'Unauthorized', 403: 'Forbidden', 404: 'NotFound', 409: 'Conflict' }[status];
+    responses[status] = named ? ref(named) : errorResponse('Request could not be processed');
+  });
+  if (flags.rateLimited) {
+    responses[429] = ref('TooManyRequests');
+  }
+  responses[500] = ref('ServerError');
+  return responses;
+};
+
+const collectOperations = (mount, handlerNames) => {
+  const operations = [];
+  let routerRequiresAuth = false;
+
+  mount.router.stack.forEach((layer) => {
+    if (!layer.route) {
+      if (layer.handle === authMiddleware) {
+        routerRequiresAuth = true;
+      }
+      return;
+    }
+
+    const handles = layer.route.stack;
+    const methods = [...new Set(handles.map((entry) => entry.method))];
+
+    methods.forEach((method) => {
+      const chain = handles.filter((entry) => entry.method === method).map((entry) => entry.handle);
+      const validator = chain.find((handle) => handle.schema);
+      const handler = chain[chain.length - 1];
+
+      operations.push({
+        method,
+        path: `${mount.path}${layer.route.path === '/' ? '' : layer.route.path}`,
+        handlerName: handlerNames.get(handler) || handler.name,
+        schema: validator ? validator.schema : {},
+        flags: {
+          auth: routerRequiresAuth || chain.includes(authMiddleware),
+          admin: chain.includes(adminMiddleware),
+          rateLimited: chain.some((handle) => handle.rateLimit),
+        },
+      });
+    });
+  });
+
+  return operations;
+};
+
+const buildOperation = (operation, mount) => {
+  const { schema, flags } = operation;
+  const result = {
+    tags: [mount.tag],
+    operationId: operation.handlerName,
+    summary: schema.summary || humanize(operation.handlerName),
+    ...(schema.description ? { description: schema.description } : {}),
+    security: flags.auth ? [{ bearerAuth: [] }] : [],
+  };
+
+  const parameters = buildParameters(operation.path, schema);
+  if (parameters.length) {
+    result.parameters = parameters;
+  }
+
+  if (schema.body) {
+    result.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: fieldsToSchema(schema.body) } },
+    };
+  }
+
+  result.responses = {
+    ...buildSuccessResponses(schema),
+    ...buildErrorResponses(operation.path, schema, flags),
+  };
+  return result;
+};
+
+const buildOpenApiDocument = (routeTable) => {
+  const paths = {};
+  const tags = [];
+  const handlerNames = collectHandlerNames();
+
+  routeTable.forEach((mount) => {
+    if (!tags.some((tag) => tag.name === mount.tag)) {
+      tags.push({ name: mount.tag, ...(mount.description ? { description: mount.description } : {}) });
+    }
+
+    collectOperations(mount, handlerNames).forEach((operation) => {
+      const path = toOpenApiPath(operation.path);
+      paths[path] = paths[path] || {};
+      paths[path][operation.method] = buildOperation(operation, mount);
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Goals API',
+      version: packageJson.version,
+      description: 'Errors always use the `Error` schema; branch on `code`, not on `message`.',
+    },
+    servers: [{ url: '/' }],
+    tags,
+    paths,
+    components: {
+      schemas: components.schemas,
+      responses: ERROR_RESPONSES,
+      securitySchemes: components.securitySchemes,
+    },
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+};
@@ -1,10 +1,16 @@
+// Loaded before anything else: several modules read their settings from process.env when required.
+require('dotenv').config();
+
 const express = require('express');
-const dotenv = require('dotenv');
 const connectDB = require('./config/db');
-const authRoutes = require('./routers/authRoutes');
-const goalRoutes = require('./routers/goalRoutes');
-const transcationRouters = require('./routers/transcationRoutes');
-dotenv.config();
+const apiRoutes = require('./routers');
+const createDocsRouter = require('./routers/docsRoutes');
+const { scheduleGoalReminders } = require('./jobs/goalReminders');
+const { scheduleTrashPurge } = require('./jobs/trashPurge');
+const { scheduleBudgetAlerts } = require('./jobs/budgetAlerts');
+const { errorResponseFormat, notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
+const { ensureMailTransport } = require('./utils/mail');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -65,7 +71,14 @@ const isAllowedOrigin = (origin) => {
   return false;
 };
 
-app.use(express.json());
+// Needed for req.ip (rate limiting, session metadata) to reflect the client behind a proxy.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+app.use(requestId);
+app.use(errorResponseFormat);
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
 
 app.use((req, res, next) => {
   const requestOrigin = req.headers.origin;
@@ -78,7 +91,8 @@ app.use((req, res, next) => {
   }
 
   res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key, X-Request-Id');
+  res.header('Access-Control-Expose-Headers', 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, X-Request-Id');
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(204);
@@ -91,13 +105,19 @@ app.get('/', (req, res) => {
   res.json({ message: 'API is running' });
 });
 
-app.use('/api/auth', authRoutes);
-app.use('/api/goals', goalRoutes);
-app.use('/api/transcation', transcationRouters);
+apiRoutes.forEach(({ path, router }) => app.use(path, router));
+app.use('/api/docs', createDocsRouter(apiRoutes));
+
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 const startServer = async () => {
   try {
+    ensureMailTransport();
     await connectDB();
+    scheduleGoalReminders();
+    scheduleTrashPurge();
+    scheduleBudgetAlerts();
     app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
   } catch (error) {
     console.error('Failed to start server:', error.message);
@@ -0,0 +1,40 @@
+const Budget = require('../models/Budget');
+const { getBudgetStatuses } = require('../utils/budgetStatus');
+const { createNotifications, buildBudgetNotification } = require('../utils/notifications');
+const { parsePositiveNumber } = require('../utils/common');
+
+const ALERT_INTERVAL_MINUTES = parsePositiveNumber(process.env.BUDGET_ALERT_INTERVAL_MINUTES, 15);
+// Users have no stored time zone, so alerts follow calendar months in UTC.
+const ALERT_TIME_ZONE = 'UTC';
+
+// Budgets cross their thresholds as transactions are written by any route, import or
+// sync, so they are checked here rather than on each write. The dedupe key sends each
+// warning and each overrun once per budget and month.
+const runBudgetAlerts = async (now = new Date()) => {
+  const userIds = await Budget.distinct('user');
+
+  for (const userId of userIds) {
+    const budgets = await Budget.find({ user: userId });
+    const { statuses } = await getBudgetStatuses(userId, budgets, ALERT_TIME_ZONE, now);
+    await createNotifications(
+      statuses.filter((entry) => entry.status !== 'ok').map((entry) => buildBudgetNotification(userId, entry))
+    );
+  }
+};
+
+const runSafely = () =>
+  runBudgetAlerts().catch((error) => {
+    console.error('Budget alert error:', error);
+  });
+
+const scheduleBudgetAlerts = () => {
+  runSafely();
+  const timer = setInterval(runSafely, ALERT_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runBudgetAlerts,
+  scheduleBudgetAlerts,
+};
@@ -0,0 +1,42 @@
+const Goal = require('../models/Goal');
+const { createNotifications, buildGoalTargetNotifications } = require('../utils/notifications');
+const { DAY_IN_MS, parsePositiveNumber } = require('../utils/common');
+
+const APPROACHING_DAYS = parsePositiveNumber(process.env.GOAL_REMINDER_DAYS, 7);
+const MISSED_LOOKBACK_DAYS = 30;
+const REMINDER_INTERVAL_MINUTES = parsePositiveNumber(process.env.GOAL_REMINDER_INTERVAL_MINUTES, 60);
+
+const runGoalReminders = async (now = new Date()) => {
+  const [approaching, missed] = await Promise.all([
+    Goal.find({
+      isCompleted: false,
+      targetDate: { $gt: now, $lte: new Date(now.getTime() + APPROACHING_DAYS * DAY_IN_MS) },
+    }),
+    Goal.find({
+      isCompleted: false,
+      targetDate: { $lte: now, $gte: new Date(now.getTime() - MISSED_LOOKBACK_DAYS * DAY_IN_MS) },
+    }),
+  ]);
+
+  await createNotifications([
+    ...approaching.flatMap((goal) => buildGoalTargetNotifications(goal, 'goal_target_approaching')),
+    ...missed.flatMap((goal) => buildGoalTargetNotifications(goal, 'goal_target_missed')),
+  ]);
+};
+
+const runSafely = () =>
+  runGoalReminders().catch((error) => {
+    console.error('Goal reminder error:', error);
+  });
+
+const scheduleGoalReminders = () => {
+  runSafely();
+  const timer = setInterval(runSafely, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runGoalReminders,
+  scheduleGoalReminders,
+};
@@ -0,0 +1,78 @@
+const Goal = require('../models/Goal');
+const Transaction = require('../models/Transaction');
+const AutoSaveRule = require('../models/AutoSaveRule');
+const GoalInvitation = require('../models/GoalInvitation');
+const { getPurgeCutoff } = require('../utils/trash');
+const { buildGoalAuditEntries, buildTransactionAuditEntry, recordAudit } = require('../utils/audit');
+const { parsePositiveNumber } = require('../utils/common');
+
+const PURGE_INTERVAL_MINUTES = parsePositiveNumber(process.env.TRASH_PURGE_INTERVAL_MINUTES, 60);
+const PURGE_BATCH_SIZE = 500;
+const SYSTEM_AUDIT_CONTEXT = { actor: null };
+
+const purgeGoals = async (cutoff) => {
+  let purged = 0;
+
+  for (;;) {
+    const goals = await Goal.find({ deletedAt: { $lte: cutoff } }).limit(PURGE_BATCH_SIZE);
+    if (!goals.length) {
+      return purged;
+    }
+
+    const goalIds = goals.map((goal) => goal._id);
+    await Promise.all([
+      AutoSaveRule.deleteMany({ goal: { $in: goalIds } }),
+      GoalInvitation.deleteMany({ goal: { $in: goalIds } }),
+      Goal.deleteMany({ _id: { $in: goalIds }, deletedAt: { $lte: cutoff } }),
+    ]);
+    await recordAudit(
+      goals.flatMap((goal) => buildGoalAuditEntries(SYSTEM_AUDIT_CONTEXT, goal, { deleted: true, action: 'purge' }))
+    );
+    purged += goals.length;
+  }
+};
+
+const purgeTransactions = async (cutoff) => {
+  let purged = 0;
+
+  for (;;) {
+    const transactions = await Transaction.find({ deletedAt: { $lte: cutoff } }).limit(PURGE_BATCH_SIZE);
+    if (!transactions.length) {
+      return purged;
+    }
+
+    await Transaction.deleteMany({ _id: { $in: transactions.map((transaction) => transaction._id) } });
+    await recordAudit(
+      transactions.map((transaction) =>
+        buildTransactionAuditEntry(SYSTEM_AUDIT_CONTEXT, transaction, { deleted: true, action: 'purge' })
+      )
+    );
+    purged += transactions.length;
+  }
+};
+
+// Permanently removes goals and transactions that have been in the trash for longer
+// than TRASH_RETENTION_DAYS.
+const runTrashPurge = async (now = new Date()) => {
+  const cutoff = getPurgeCutoff(now);
+  const goals = await purgeGoals(cutoff);
+  const transactions = await purgeTransactions(cutoff);
+  return { goals, transactions };
+};
+
+const runSafely = () =>
+  runTrashPurge().catch((error) => {
+    console.error('Trash purge error:', error);
+  });
+
+const scheduleTrashPurge = () => {
+  runSafely();
+  const timer = setInterval(runSafely, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runTrashPurge,
+  scheduleTrashPurge,
+};
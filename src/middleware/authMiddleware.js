@@ -18,7 +18,12 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    if (decoded.sid && !user.refreshTokens.some((entry) => entry.family === decoded.sid)) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Auth error:', error);
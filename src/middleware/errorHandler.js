@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { AppError, errorCodeForStatus, buildErrorBody } = require('../utils/errors');
+
+// Gives error responses written directly by controllers (`res.status(4xx).json({ message })`)
+// the same `code` field as errors passed to the central handler.
+const errorResponseFormat = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.code) {
+      return json({ ...body, code: errorCodeForStatus(res.statusCode) });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+const fromMongooseValidation = (error) =>
+  new AppError(400, 'Validation failed', {
+    code: 'VALIDATION_FAILED',
+    details: Object.values(error.errors).map((entry) => ({
+      field: entry.path,
+      location: 'body',
+      code: entry.kind === 'required' ? 'required' : 'invalid',
+      message: entry.message,
+    })),
+  });
+
+// An unparseable id can never match a document, so it reads as "not found";
+// any other cast failure is a bad value supplied by the client.
+const fromCastError = (error) => {
+  if (error.path === '_id') {
+    return new AppError(404, 'Resource not found', { code: 'NOT_FOUND' });
+  }
+  return new AppError(400, `Invalid value for ${error.path}`, {
+    code: 'VALIDATION_FAILED',
+    details: [{ field: error.path, code: 'invalid_type', message: `${error.path} must be a valid ${error.kind}` }],
+  });
+};
+
+const fromDuplicateKey = (error) => {
+  const fields = Object.keys(error.keyValue || error.keyPattern || {}).filter((field) => field !== 'user');
+  return new AppError(409, 'A resource with these values already exists', {
+    code: 'DUPLICATE_RESOURCE',
+    details: fields.map((field) => ({ field, code: 'duplicate', message: `${field} must be unique` })),
+  });
+};
+
+const normalizeError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return fromMongooseValidation(error);
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return fromCastError(error);
+  }
+  if (error && error.code === 11000) {
+    return fromDuplicateKey(error);
+  }
+  if (error && error.type === 'entity.parse.failed') {
+    return new AppError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error && error.type === 'entity.too.large') {
+    return new AppError(413, 'Request body is too large', { code: 'PAYLOAD_TOO_LARGE' });
+  }
+  return null;
+};
+
+const notFoundHandler = (req, res, next) => {
+  next(new AppError(404, `Route ${req.method} ${req.path} not found`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Express recognises error handlers by their four-argument signature, so `next` stays.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    console.error(`${req.method} ${req.originalUrl} [${req.id}] error after response started:`, error);
+    return res.destroy(error);
+  }
+
+  const appError = normalizeError(error);
+  if (!appError) {
+    console.error(`${req.method} ${req.originalUrl} [${req.id}] error:`, error);
+    return res.status(500).json(buildErrorBody({ message: 'Server error', code: 'INTERNAL_ERROR' }));
+  }
+
+  return res.status(appError.status).json(buildErrorBody(appError));
+};
+
+module.exports = {
+  errorResponseFormat,
+  notFoundHandler,
+  errorHandler,
+};
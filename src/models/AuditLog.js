@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Owner of the audited resource; shared goals are logged under the goal owner.
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Who made the change. Null for changes made by background jobs.
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    resourceType: {
+      type: String,
+      enum: ['goal', 'contribution', 'transaction'],
+      required: true,
+    },
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Set on goal and contribution entries so a goal's full history is one query.
+    goal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal',
+    },
+    action: {
+      type: String,
+      // `delete` moves a goal or transaction to the trash; `purge` removes it for good.
+      enum: ['create', 'update', 'delete', 'restore', 'purge'],
+      required: true,
+    },
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: {
+            type: String,
+            required: true,
+          },
+          before: {
+            type: mongoose.Schema.Types.Mixed,
+          },
+          after: {
+            type: mongoose.Schema.Types.Mixed,
+          },
+        },
+      ],
+      default: [],
+    },
+    requestId: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ resourceType: 1, resource: 1, createdAt: -1, _id: -1 });
+auditLogSchema.index({ goal: 1, createdAt: -1, _id: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1, _id: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1, _id: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+const rejectMutation = function () {
+  throw new Error('Audit log entries are append-only');
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(
+  (operation) => auditLogSchema.pre(operation, rejectMutation)
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const autoSaveRuleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    goal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['round_up', 'percentage', 'fixed'],
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['debit', 'credit', 'any'],
+      default: 'debit',
+    },
+    roundTo: {
+      type: Number,
+      min: 1,
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('AutoSaveRule', autoSaveRuleSchema);
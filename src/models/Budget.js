@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    category: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    limit: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    rollover: {
+      type: Boolean,
+      default: false,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+budgetSchema.index({ user: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
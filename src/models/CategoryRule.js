@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const categoryRuleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Every condition that is set has to match.
+    match: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      smsPattern: {
+        type: String,
+      },
+      minAmount: {
+        type: Number,
+        min: 0,
+      },
+      maxAmount: {
+        type: Number,
+        min: 0,
+      },
+      payment_method: {
+        type: String,
+        trim: true,
+      },
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    tags: [{ type: String, trim: true }],
+    rename: {
+      type: String,
+      trim: true,
+    },
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // `learning` rules count manual recategorizations and are never applied or listed;
+    // they become `suggested` once the count reaches the threshold.
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'learning', 'suggested', 'dismissed'],
+      default: 'active',
+    },
+    occurrences: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+categoryRuleSchema.index({ user: 1, status: 1, priority: 1 });
+
+module.exports = mongoose.model('CategoryRule', categoryRuleSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    quote: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    effectiveDate: {
+      type: Date,
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+exchangeRateSchema.index({ base: 1, quote: 1, effectiveDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const syncable = require('./plugins/syncable');
+const { notifySafely, buildGoalMilestoneNotifications } = require('../utils/notifications');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const MILESTONES = [25, 50, 75, 100];
 
 const goalSchema = new mongoose.Schema(
   {
@@ -18,6 +24,12 @@ const goalSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: DEFAULT_CURRENCY,
+    },
     savedAmount: {
       type: Number,
       default: 0,
@@ -49,6 +61,27 @@ const goalSchema = new mongoose.Schema(
       trim: true,
     },
     tags: [{ type: String, trim: true }],
+    members: {
+      type: [
+        {
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+          },
+          role: {
+            type: String,
+            enum: ['contributor', 'viewer'],
+            default: 'contributor',
+          },
+          joinedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      default: [],
+    },
     contributions: {
       type: [
         {
@@ -57,10 +90,41 @@ const goalSchema = new mongoose.Schema(
             required: true,
             min: 0,
           },
+          type: {
+            type: String,
+            enum: ['deposit', 'withdrawal'],
+            default: 'deposit',
+          },
+          currency: {
+            type: String,
+            uppercase: true,
+            trim: true,
+          },
+          convertedAmount: {
+            type: Number,
+            min: 0,
+          },
           note: {
             type: String,
             trim: true,
           },
+          source: {
+            type: String,
+            enum: ['manual', 'transaction', 'rule'],
+            default: 'manual',
+          },
+          transaction: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction',
+          },
+          rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AutoSaveRule',
+          },
+          contributor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
           createdAt: {
             type: Date,
             default: Date.now,
@@ -73,16 +137,33 @@ const goalSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Linked contributions are looked up by transaction alone: an auto-save rule can fund a
+// goal shared with the transaction's owner, so the goal's user is not known.
+goalSchema.index({ 'contributions.transaction': 1 });
+goalSchema.index({ 'members.user': 1 });
+
 goalSchema.virtual('remainingAmount').get(function () {
   const remaining = (this.amount || 0) - (this.savedAmount || 0);
   return remaining > 0 ? remaining : 0;
 });
 
+goalSchema.statics.contributionDelta = (entry) => {
+  const value = typeof entry.convertedAmount === 'number' ? entry.convertedAmount : entry.amount;
+  return entry.type === 'withdrawal' ? -value : value;
+};
+
+goalSchema.statics.calculateSavedAmount = function (contributions = []) {
+  return contributions.reduce((sum, entry) => sum + this.contributionDelta(entry), 0);
+};
+
 goalSchema.set('toJSON', { virtuals: true });
 goalSchema.set('toObject', { virtuals: true });
 
-goalSchema.pre('save', function (next) {
-  const totalSaved = this.contributions.reduce((sum, entry) => sum + entry.amount, 0);
+// Derives savedAmount, progress and completion from the contributions and works out
+// which milestones the change reaches. Runs before every save; callers that write a goal
+// through an update query call it themselves.
+goalSchema.methods.refreshProgress = function () {
+  const totalSaved = Math.max(0, this.constructor.calculateSavedAmount(this.contributions));
   this.savedAmount = totalSaved;
 
   if (this.amount > 0) {
@@ -92,13 +173,48 @@ goalSchema.pre('save', function (next) {
     this.progress = 100;
   }
 
-  if (!this.isModified('isCompleted')) {
+  if (!this.isModified('isCompleted') || this.isModified('contributions')) {
     this.isCompleted = this.amount > 0 ? totalSaved >= this.amount : true;
   } else if (!this.isCompleted && totalSaved >= this.amount) {
     this.isCompleted = true;
   }
 
+  const previousProgress = this.$locals.previousProgress || 0;
+  const reached = MILESTONES.filter((milestone) => previousProgress < milestone && this.progress >= milestone);
+  if (this.isCompleted && !this.$locals.wasCompleted && !reached.includes(100)) {
+    reached.push(100);
+  }
+  this.$locals.reachedMilestones = reached;
+  return this;
+};
+
+// Notifies the participants of milestones found by refreshProgress once they are stored.
+goalSchema.methods.announceMilestones = function () {
+  const reached = this.$locals.reachedMilestones || [];
+  this.$locals.previousProgress = this.progress;
+  this.$locals.wasCompleted = this.isCompleted;
+  this.$locals.reachedMilestones = [];
+
+  if (reached.length) {
+    notifySafely(buildGoalMilestoneNotifications(this, reached));
+  }
+};
+
+goalSchema.pre('save', function (next) {
+  this.refreshProgress();
   next();
 });
 
+goalSchema.post('init', function () {
+  this.$locals.previousProgress = this.progress;
+  this.$locals.wasCompleted = this.isCompleted;
+});
+
+goalSchema.post('save', function () {
+  this.announceMilestones();
+});
+
+goalSchema.plugin(softDelete);
+goalSchema.plugin(syncable);
+
 module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const goalInvitationSchema = new mongoose.Schema(
+  {
+    goal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal',
+      required: true,
+      index: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: ['contributor', 'viewer'],
+      default: 'contributor',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+goalInvitationSchema.index(
+  { goal: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('GoalInvitation', goalInvitationSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const recurringSeriesSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    merchantKey: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    interval: {
+      type: String,
+      enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
+      required: true,
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    payment_method: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['detected', 'confirmed', 'dismissed'],
+      default: 'detected',
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    occurrences: {
+      type: Number,
+      default: 0,
+    },
+    firstChargedAt: {
+      type: Date,
+    },
+    lastChargedAt: {
+      type: Date,
+    },
+    nextDueDate: {
+      type: Date,
+    },
+    transactions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }],
+  },
+  { timestamps: true }
+);
+
+recurringSeriesSchema.index({ user: 1, merchantKey: 1, interval: 1 }, { unique: true });
+
+module.exports = mongoose.model('RecurringSeries', recurringSeriesSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const syncable = require('./plugins/syncable');
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -18,10 +20,32 @@ const transactionSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    base_amount: {
+      type: Number,
+      min: 0,
+    },
+    type: {
+      type: String,
+      enum: ['debit', 'credit', 'transfer'],
+      default: 'debit',
+    },
     category: {
       type: String,
       trim: true,
     },
+    // Category rule that set `category`; cleared when the user picks a category by hand,
+    // so re-applying rules leaves manual choices alone.
+    category_rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CategoryRule',
+      default: null,
+    },
+    tags: [{ type: String, trim: true }],
     transaction_date: {
       type: Date,
       required: true,
@@ -51,10 +75,45 @@ const transactionSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    idempotency_key: {
+      type: String,
+      trim: true,
+    },
+    // Goal contributions taken off when the transaction went to the trash, so a restore
+    // can put them back.
+    trashedContributions: {
+      type: [
+        {
+          _id: false,
+          goal: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Goal',
+          },
+          contribution: {
+            type: mongoose.Schema.Types.Mixed,
+          },
+        },
+      ],
+      default: [],
+    },
   },
   {
     timestamps: true,
   }
 );
 
+transactionSchema.index({ user: 1, transaction_date: -1, _id: -1 });
+transactionSchema.index({ user: 1, type: 1, transaction_date: -1 });
+transactionSchema.index(
+  { user: 1, reference_id: 1 },
+  { unique: true, partialFilterExpression: { reference_id: { $type: 'string', $gt: '' } } }
+);
+transactionSchema.index(
+  { user: 1, idempotency_key: 1 },
+  { unique: true, partialFilterExpression: { idempotency_key: { $type: 'string' } } }
+);
+
+transactionSchema.plugin(softDelete);
+transactionSchema.plugin(syncable);
+
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
 
 const userSchema = new mongoose.Schema(
   {
@@ -21,6 +22,58 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 6,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+      },
+      pendingSecret: {
+        type: String,
+      },
+      lastUsedCounter: {
+        type: Number,
+        default: 0,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            hash: {
+              type: String,
+              required: true,
+            },
+            usedAt: {
+              type: Date,
+              default: null,
+            },
+          },
+        ],
+        default: [],
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: DEFAULT_CURRENCY,
+    },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
     refreshTokens: {
       type: [
         {
@@ -32,6 +85,21 @@ const userSchema = new mongoose.Schema(
             type: Date,
             required: true,
           },
+          family: {
+            type: String,
+          },
+          userAgent: {
+            type: String,
+            trim: true,
+          },
+          ip: {
+            type: String,
+            trim: true,
+          },
+          lastUsedAt: {
+            type: Date,
+            default: Date.now,
+          },
           createdAt: {
             type: Date,
             default: Date.now,
@@ -40,10 +108,34 @@ const userSchema = new mongoose.Schema(
       ],
       default: [],
     },
+    // Hashes of refresh tokens that were already rotated, kept until they would have
+    // expired so that a replayed token can be traced back to its family.
+    rotatedRefreshTokens: {
+      type: [
+        {
+          token: {
+            type: String,
+            required: true,
+          },
+          family: {
+            type: String,
+            required: true,
+          },
+          expiresAt: {
+            type: Date,
+            required: true,
+          },
+        },
+      ],
+      default: [],
+    },
   },
   { timestamps: true }
 );
 
+userSchema.index({ 'refreshTokens.token': 1 });
+userSchema.index({ 'rotatedRefreshTokens.token': 1 });
+
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
     return next();
@@ -0,0 +1,46 @@
+// Adds a `deletedAt` timestamp and hides trashed documents from every query unless the
+// filter mentions `deletedAt` itself or the query sets the `withDeleted` option:
+//
+//   Transaction.findOne({ _id: id }).setOptions({ withDeleted: true });
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  });
+
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+  schema.pre(QUERY_OPERATIONS, function () {
+    if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.isTrashed = function () {
+    return Boolean(this.deletedAt);
+  };
+};
+
+module.exports = softDelete;
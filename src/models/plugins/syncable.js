@@ -0,0 +1,22 @@
+// Adds the per-document `version` that offline clients send back as `baseVersion`, and
+// the index the sync endpoint walks (changes ordered by updatedAt, then _id).
+const syncable = (schema) => {
+  schema.add({
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  });
+
+  schema.index({ user: 1, updatedAt: 1, _id: 1 });
+
+  schema.pre('save', function (next) {
+    if (!this.isNew && this.isModified()) {
+      this.version += 1;
+    }
+    next();
+  });
+};
+
+module.exports = syncable;
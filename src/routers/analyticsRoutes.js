@@ -0,0 +1,15 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/analyticsSchemas');
+const { getSpendingSummary, getSpendingTimeSeries, getCashFlow } = require('../controller/analyticsController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/summary', validate(schemas.spendingSummary), getSpendingSummary);
+router.get('/timeseries', validate(schemas.spendingTimeSeries), getSpendingTimeSeries);
+router.get('/cashflow', validate(schemas.cashFlow), getCashFlow);
+
+module.exports = router;
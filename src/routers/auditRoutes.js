@@ -0,0 +1,14 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/auditSchemas');
+const { getAuditLog } = require('../controller/auditController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', adminMiddleware, validate(schemas.listAuditLog), getAuditLog);
+
+module.exports = router;
@@ -1,11 +1,90 @@
 const express = require('express');
-const { signup, login, refreshAccessToken, logout } = require('../controller/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/authSchemas');
+const { createRateLimiter } = require('../utils/rateLimit');
+const {
+  signup,
+  login,
+  refreshAccessToken,
+  logout,
+  getProfile,
+  updateProfile,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getLoginAttempts,
+  verifyTwoFactorLogin,
+} = require('../controller/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controller/twoFactorController');
+const { parsePositiveNumber } = require('../utils/common');
+
+const MINUTE_IN_MS = 60 * 1000;
+
+const loginLimiter = createRateLimiter({
+  name: 'login',
+  windowMs: 15 * MINUTE_IN_MS,
+  max: parsePositiveNumber(process.env.RATE_LIMIT_LOGIN_MAX, 20),
+});
+const signupLimiter = createRateLimiter({
+  name: 'signup',
+  windowMs: 60 * MINUTE_IN_MS,
+  max: parsePositiveNumber(process.env.RATE_LIMIT_SIGNUP_MAX, 10),
+});
+const refreshLimiter = createRateLimiter({
+  name: 'refresh',
+  windowMs: 15 * MINUTE_IN_MS,
+  max: parsePositiveNumber(process.env.RATE_LIMIT_REFRESH_MAX, 60),
+});
+// Shared by both steps of a reset so guessing tokens and mailing victims cost the same.
+const passwordResetLimiter = createRateLimiter({
+  name: 'password-reset',
+  windowMs: 60 * MINUTE_IN_MS,
+  max: parsePositiveNumber(process.env.RATE_LIMIT_PASSWORD_RESET_MAX, 10),
+});
+const verifyEmailLimiter = createRateLimiter({
+  name: 'verify-email',
+  windowMs: 15 * MINUTE_IN_MS,
+  max: parsePositiveNumber(process.env.RATE_LIMIT_VERIFY_EMAIL_MAX, 20),
+});
+// Disabling 2FA and replacing recovery codes both check a code, so they are limited like logins.
+const twoFactorLimiter = createRateLimiter({
+  name: 'two-factor',
+  windowMs: 15 * MINUTE_IN_MS,
+  max: parsePositiveNumber(process.env.RATE_LIMIT_TWO_FACTOR_MAX, 10),
+});
 
 const router = express.Router();
 
-router.post('/signup', signup);
-router.post('/login', login);
-router.post('/refresh', refreshAccessToken);
-router.post('/logout', logout);
+router.post('/signup', signupLimiter, validate(schemas.signup), signup);
+router.post('/login', loginLimiter, validate(schemas.login), login);
+router.post('/login/2fa', loginLimiter, validate(schemas.verifyTwoFactorLogin), verifyTwoFactorLogin);
+router.post('/refresh', refreshLimiter, validate(schemas.refreshToken), refreshAccessToken);
+router.post('/logout', validate(schemas.logout), logout);
+router.post('/verify-email', verifyEmailLimiter, validate(schemas.verifyEmail), verifyEmail);
+router.post('/verify-email/resend', authMiddleware, verifyEmailLimiter, validate(schemas.resendVerification), resendVerificationEmail);
+router.post('/forgot-password', passwordResetLimiter, validate(schemas.forgotPassword), forgotPassword);
+router.post('/reset-password', passwordResetLimiter, validate(schemas.resetPassword), resetPassword);
+router.get('/me', authMiddleware, validate(schemas.getProfile), getProfile);
+router.patch('/me', authMiddleware, validate(schemas.updateProfile), updateProfile);
+router.get('/sessions', authMiddleware, validate(schemas.listSessions), getSessions);
+router.get('/login-attempts', authMiddleware, validate(schemas.loginAttempts), getLoginAttempts);
+router.get('/2fa', authMiddleware, validate(schemas.twoFactorStatus), getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, validate(schemas.setupTwoFactor), setupTwoFactor);
+router.post('/2fa/confirm', authMiddleware, validate(schemas.confirmTwoFactor), confirmTwoFactor);
+router.post('/2fa/disable', authMiddleware, twoFactorLimiter, validate(schemas.disableTwoFactor), disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, twoFactorLimiter, validate(schemas.regenerateRecoveryCodes), regenerateRecoveryCodes);
+router.post('/sessions/revoke-others', authMiddleware, validate(schemas.revokeOtherSessions), revokeOtherSessions);
+router.delete('/sessions/:id', authMiddleware, validate(schemas.revokeSession), revokeSession);
 
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/autoSaveRuleSchemas');
+const {
+  createRule,
+  getRules,
+  getRuleById,
+  updateRule,
+  deleteRule,
+} = require('../controller/autoSaveRuleController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router
+  .route('/')
+  .post(validate(schemas.createRule), createRule)
+  .get(validate(schemas.listRules), getRules);
+
+router
+  .route('/:id')
+  .get(validate(schemas.getRule), getRuleById)
+  .patch(validate(schemas.updateRule), updateRule)
+  .delete(validate(schemas.deleteRule), deleteRule);
+
+module.exports = router;
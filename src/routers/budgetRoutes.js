@@ -0,0 +1,33 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/budgetSchemas');
+const {
+  createBudget,
+  getBudgets,
+  getBudgetStatus,
+  getBudgetById,
+  updateBudget,
+  partialUpdateBudget,
+  deleteBudget,
+} = require('../controller/budgetController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router
+  .route('/')
+  .post(validate(schemas.createBudget), createBudget)
+  .get(validate(schemas.listBudgets), getBudgets);
+
+router.get('/status', validate(schemas.budgetStatus), getBudgetStatus);
+
+router
+  .route('/:id')
+  .get(validate(schemas.getBudget), getBudgetById)
+  .put(validate(schemas.updateBudget), updateBudget)
+  .patch(validate(schemas.partialUpdateBudget), partialUpdateBudget)
+  .delete(validate(schemas.deleteBudget), deleteBudget);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/categoryRuleSchemas');
+const {
+  createCategoryRule,
+  getCategoryRules,
+  getCategoryRuleById,
+  updateCategoryRule,
+  deleteCategoryRule,
+  acceptCategoryRule,
+  dismissCategoryRule,
+  applyCategoryRules,
+} = require('../controller/categoryRuleController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router
+  .route('/')
+  .post(validate(schemas.createCategoryRule), createCategoryRule)
+  .get(validate(schemas.listCategoryRules), getCategoryRules);
+
+router.post('/apply', validate(schemas.applyCategoryRules), applyCategoryRules);
+
+router
+  .route('/:id')
+  .get(validate(schemas.getCategoryRule), getCategoryRuleById)
+  .patch(validate(schemas.updateCategoryRule), updateCategoryRule)
+  .delete(validate(schemas.deleteCategoryRule), deleteCategoryRule);
+
+router.post('/:id/accept', validate(schemas.acceptCategoryRule), acceptCategoryRule);
+router.post('/:id/dismiss', validate(schemas.dismissCategoryRule), dismissCategoryRule);
+
+module.exports = router;
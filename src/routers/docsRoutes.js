@@ -0,0 +1,14 @@
+const express = require('express');
+const { createDocsHandlers } = require('../controller/docsController');
+
+const createDocsRouter = (routeTable) => {
+  const router = express.Router();
+  const { getOpenApiDocument, getDocsViewer } = createDocsHandlers(routeTable);
+
+  router.get('/', getOpenApiDocument);
+  router.get('/viewer', getDocsViewer);
+
+  return router;
+};
+
+module.exports = createDocsRouter;
@@ -0,0 +1,16 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/exchangeRateSchemas');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const { uploadRates, getRates, convertAmount } = require('../controller/exchangeRateController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', validate(schemas.listRates), getRates);
+router.get('/convert', validate(schemas.convertAmount), convertAmount);
+router.post('/', adminMiddleware, validate(schemas.uploadRates), uploadRates);
+
+module.exports = router;
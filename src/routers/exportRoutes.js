@@ -0,0 +1,14 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/exportSchemas');
+const { exportTransactions, exportGoals } = require('../controller/exportController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/transactions', validate(schemas.exportTransactions), exportTransactions);
+router.get('/goals', validate(schemas.exportGoals), exportGoals);
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/goalSchemas');
 const {
   createGoal,
   getGoals,
@@ -8,7 +10,24 @@ const {
   partialUpdateGoal,
   deleteGoal,
   addContribution,
+  updateContribution,
+  deleteContribution,
+  getGoalHistory,
+  getContributionHistory,
+  getTrashedGoals,
+  restoreGoal,
 } = require('../controller/goalController');
+const {
+  inviteMember,
+  getGoalInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+} = require('../controller/goalSharingController');
 
 const router = express.Router();
 
@@ -16,16 +35,48 @@ router.use(authMiddleware);
 
 router
   .route('/')
-  .post(createGoal)
-  .get(getGoals);
+  .post(validate(schemas.createGoal), createGoal)
+  .get(validate(schemas.listGoals), getGoals);
+
+router.get('/trash', validate(schemas.listTrashedGoals), getTrashedGoals);
+router.get('/invitations', validate(schemas.listMyInvitations), getMyInvitations);
+router.post('/invitations/:invitationId/accept', validate(schemas.acceptInvitation), acceptInvitation);
+router.post('/invitations/:invitationId/decline', validate(schemas.declineInvitation), declineInvitation);
 
 router
   .route('/:id')
-  .get(getGoalById)
-  .put(updateGoal)
-  .patch(partialUpdateGoal)
-  .delete(deleteGoal);
+  .get(validate(schemas.getGoal), getGoalById)
+  .put(validate(schemas.updateGoal), updateGoal)
+  .patch(validate(schemas.partialUpdateGoal), partialUpdateGoal)
+  .delete(validate(schemas.deleteGoal), deleteGoal);
+
+router.get('/:id/history', validate(schemas.goalHistory), getGoalHistory);
+router.post('/:id/restore', validate(schemas.restoreGoal), restoreGoal);
+router.post('/:id/contributions', validate(schemas.addContribution), addContribution);
+
+router
+  .route('/:id/contributions/:contributionId')
+  .patch(validate(schemas.updateContribution), updateContribution)
+  .delete(validate(schemas.deleteContribution), deleteContribution);
+
+router.get(
+  '/:id/contributions/:contributionId/history',
+  validate(schemas.contributionHistory),
+  getContributionHistory
+);
 
-router.post('/:id/contributions', addContribution);
+router
+  .route('/:id/invitations')
+  .post(validate(schemas.inviteMember), inviteMember)
+  .get(validate(schemas.listGoalInvitations), getGoalInvitations);
+
+router.delete('/:id/invitations/:invitationId', validate(schemas.revokeInvitation), revokeInvitation);
+
+router.get('/:id/members', validate(schemas.listMembers), getMembers);
+
+router
+  .route('/:id/members/:userId')
+  .patch(validate(schemas.updateMemberRole), updateMemberRole)
+  .delete(validate(schemas.removeMember), removeMember);
 
 module.exports = router;
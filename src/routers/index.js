@@ -0,0 +1,35 @@
+const authRoutes = require('./authRoutes');
+const goalRoutes = require('./goalRoutes');
+const transcationRouters = require('./transcationRoutes');
+const analyticsRoutes = require('./analyticsRoutes');
+const budgetRoutes = require('./budgetRoutes');
+const recurringRoutes = require('./recurringRoutes');
+const exportRoutes = require('./exportRoutes');
+const autoSaveRuleRoutes = require('./autoSaveRuleRoutes');
+const categoryRuleRoutes = require('./categoryRuleRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const exchangeRateRoutes = require('./exchangeRateRoutes');
+const auditRoutes = require('./auditRoutes');
+const syncRoutes = require('./syncRoutes');
+
+// Mounted by src/index.js and walked by the OpenAPI generator.
+module.exports = [
+  { path: '/api/auth', router: authRoutes, tag: 'Auth', description: 'Accounts, sessions and two-factor login' },
+  { path: '/api/goals', router: goalRoutes, tag: 'Goals', description: 'Savings goals, contributions and sharing' },
+  { path: '/api/transcation', router: transcationRouters, tag: 'Transactions' },
+  { path: '/api/analytics', router: analyticsRoutes, tag: 'Analytics' },
+  { path: '/api/budgets', router: budgetRoutes, tag: 'Budgets' },
+  { path: '/api/recurring', router: recurringRoutes, tag: 'Recurring' },
+  { path: '/api/export', router: exportRoutes, tag: 'Export' },
+  { path: '/api/autosave-rules', router: autoSaveRuleRoutes, tag: 'Auto-save rules' },
+  {
+    path: '/api/category-rules',
+    router: categoryRuleRoutes,
+    tag: 'Category rules',
+    description: 'Automatic categorization of new and past transactions',
+  },
+  { path: '/api/notifications', router: notificationRoutes, tag: 'Notifications' },
+  { path: '/api/exchange-rates', router: exchangeRateRoutes, tag: 'Exchange rates' },
+  { path: '/api/sync', router: syncRoutes, tag: 'Sync', description: 'Delta sync for offline clients' },
+  { path: '/api/audit', router: auditRoutes, tag: 'Audit', description: 'Support search across the change log' },
+];
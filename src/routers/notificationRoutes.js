@@ -0,0 +1,21 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/notificationSchemas');
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require('../controller/notificationController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', validate(schemas.listNotifications), getNotifications);
+router.get('/unread-count', validate(schemas.unreadCount), getUnreadCount);
+router.post('/read-all', validate(schemas.markAllRead), markAllNotificationsRead);
+router.patch('/:id/read', validate(schemas.markRead), markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/recurringSchemas');
+const {
+  detectRecurring,
+  getRecurring,
+  getUpcomingCharges,
+  confirmRecurring,
+  dismissRecurring,
+  deleteRecurring,
+} = require('../controller/recurringController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', validate(schemas.listRecurring), getRecurring);
+router.post('/detect', validate(schemas.detectRecurring), detectRecurring);
+router.get('/upcoming', validate(schemas.upcomingCharges), getUpcomingCharges);
+
+router.post('/:id/confirm', validate(schemas.confirmRecurring), confirmRecurring);
+router.post('/:id/dismiss', validate(schemas.dismissRecurring), dismissRecurring);
+router.delete('/:id', validate(schemas.deleteRecurring), deleteRecurring);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/syncSchemas');
+const { getChanges, pushChanges } = require('../controller/syncController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router
+  .route('/')
+  .get(validate(schemas.getChanges), getChanges)
+  .post(validate(schemas.pushChanges), pushChanges);
+
+module.exports = router;
@@ -1,13 +1,21 @@
 const express = require('express');
 const authMiddleware = require('../middleware/authMiddleware');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/transactionSchemas');
 const {
   createTransaction,
+  createTransactionFromSms,
   getTransactions,
   getTransactionById,
   updateTransaction,
   partialUpdateTransaction,
   deleteTransaction,
+  fundGoal,
+  getTransactionHistory,
+  getTrashedTransactions,
+  restoreTransaction,
 } = require('../controller/transcationController');
+const { previewImport, commitImport } = require('../controller/importController');
 
 const router = express.Router();
 
@@ -15,14 +23,23 @@ router.use(authMiddleware);
 
 router
   .route('/')
-  .post(createTransaction)
-  .get(getTransactions);
+  .post(validate(schemas.createTransaction), createTransaction)
+  .get(validate(schemas.listTransactions), getTransactions);
+
+router.get('/trash', validate(schemas.listTrashedTransactions), getTrashedTransactions);
+router.post('/sms', validate(schemas.createTransactionFromSms), createTransactionFromSms);
+router.post('/import/preview', validate(schemas.previewImport), previewImport);
+router.post('/import', validate(schemas.commitImport), commitImport);
 
 router
   .route('/:id')
-  .get(getTransactionById)
-  .put(updateTransaction)
-  .patch(partialUpdateTransaction)
-  .delete(deleteTransaction);
+  .get(validate(schemas.getTransaction), getTransactionById)
+  .put(validate(schemas.updateTransaction), updateTransaction)
+  .patch(validate(schemas.partialUpdateTransaction), partialUpdateTransaction)
+  .delete(validate(schemas.deleteTransaction), deleteTransaction);
+
+router.get('/:id/history', validate(schemas.transactionHistory), getTransactionHistory);
+router.post('/:id/restore', validate(schemas.restoreTransaction), restoreTransaction);
+router.post('/:id/fund-goal', validate(schemas.fundGoal), fundGoal);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,69 @@
+const { dateRangeQuery, timezoneQuery } = require('./common');
+
+const filterQuery = {
+  ...dateRangeQuery,
+  type: {
+    type: 'string',
+    list: true,
+    description: 'Comma-separated transaction types, defaults to debit and untyped transactions',
+  },
+  category: { type: 'string', list: true, description: 'Comma-separated categories' },
+  compare: { type: 'boolean', description: 'Include the previous period of the same length' },
+};
+
+const range = { from: 'date', to: 'date' };
+const comparison = { current: 'number', previous: 'number', change: 'number', changePercent: 'number' };
+
+module.exports = {
+  spendingSummary: {
+    summary: 'Spending totals grouped by category, payment method or merchant',
+    query: {
+      ...filterQuery,
+      group_by: { type: 'string', enum: ['category', 'payment_method', 'merchant'] },
+    },
+    responses: {
+      200: {
+        currency: 'string',
+        groupBy: 'string',
+        range,
+        total: 'number',
+        groups: [{ key: 'string', total: 'number', count: 'integer', share: 'number', comparison }],
+        previousRange: range,
+        comparison,
+      },
+    },
+  },
+  spendingTimeSeries: {
+    summary: 'Spending per day, week or month',
+    query: {
+      ...filterQuery,
+      ...timezoneQuery,
+      interval: { type: 'string', enum: ['day', 'week', 'month'] },
+    },
+    responses: {
+      200: {
+        currency: 'string',
+        interval: 'string',
+        timezone: 'string',
+        range,
+        total: 'number',
+        series: [{ bucket: 'string', total: 'number', count: 'integer' }],
+        previousRange: range,
+        comparison,
+      },
+    },
+  },
+  cashFlow: {
+    summary: 'Monthly income, expenses, net and savings rate',
+    query: { ...dateRangeQuery, ...timezoneQuery },
+    responses: {
+      200: {
+        currency: 'string',
+        timezone: 'string',
+        range,
+        months: [{ month: 'string', income: 'number', expenses: 'number', net: 'number', savingsRate: 'number' }],
+        totals: { income: 'number', expenses: 'number', net: 'number', savingsRate: 'number' },
+      },
+    },
+  },
+};
@@ -0,0 +1,17 @@
+const { dateRangeQuery, historyQuery, historyResponses } = require('./common');
+
+module.exports = {
+  listAuditLog: {
+    summary: 'Search the audit log (admin only)',
+    query: {
+      ...historyQuery,
+      ...dateRangeQuery,
+      user: { type: 'objectId', description: 'Entries owned by or made by this user' },
+      resourceType: { type: 'string', enum: ['goal', 'contribution', 'transaction'] },
+      action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+      resource: { type: 'objectId', description: 'Goal, contribution or transaction id' },
+      requestId: { type: 'string', maxLength: 128, description: 'Value of the X-Request-Id response header' },
+    },
+    responses: historyResponses,
+  },
+};
@@ -0,0 +1,95 @@
+const { currency } = require('./common');
+
+const email = { type: 'string', required: true, maxLength: 254 };
+const password = { type: 'string', required: true, minLength: 6, maxLength: 128 };
+const token = { type: 'string', required: true };
+const totpCode = { type: 'string', pattern: /^\d{6}$/, patternMessage: 'code must be 6 digits' };
+
+const userEnvelope = { message: 'string', user: 'User' };
+const recoveryCodes = { message: 'string', recoveryCodes: ['string'] };
+
+module.exports = {
+  signup: {
+    summary: 'Create an account',
+    body: { name: { type: 'string', required: true, minLength: 2, maxLength: 100 }, email, password },
+    responses: { 201: 'AuthTokens' },
+    errors: [409],
+  },
+  login: {
+    summary: 'Log in with email and password',
+    description: 'Accounts with two-factor enabled receive a challenge token instead of session tokens.',
+    body: { email, password: { type: 'string', required: true } },
+    responses: { 200: 'AuthTokens|TwoFactorChallenge' },
+    errors: [401],
+  },
+  verifyTwoFactorLogin: {
+    summary: 'Complete a two-factor login',
+    body: { challengeToken: token, code: totpCode, recoveryCode: { type: 'string', maxLength: 32 } },
+    responses: { 200: 'AuthTokens' },
+    errors: [401],
+  },
+  refreshToken: {
+    summary: 'Exchange a refresh token for a new token pair',
+    body: { refreshToken: token },
+    responses: { 200: 'AuthTokens' },
+    errors: [401],
+  },
+  logout: { summary: 'Revoke a refresh token', body: { refreshToken: token }, responses: { 200: 'Message' } },
+  verifyEmail: { summary: 'Verify an email address', body: { token }, responses: { 200: userEnvelope } },
+  resendVerification: { summary: 'Send a new verification email', responses: { 200: 'Message' } },
+  forgotPassword: { summary: 'Request a password reset email', body: { email }, responses: { 200: 'Message' } },
+  resetPassword: {
+    summary: 'Set a new password with a reset token',
+    body: { token, password },
+    responses: { 200: 'Message' },
+  },
+  getProfile: { summary: 'Get the current user', responses: { 200: { user: 'User' } } },
+  updateProfile: {
+    summary: 'Update the current user',
+    body: {
+      name: { type: 'string', minLength: 2, maxLength: 100 },
+      base_currency: currency('New base currency; stored amounts are recomputed'),
+    },
+    responses: { 200: { ...userEnvelope, transactionsRecomputed: 'integer' } },
+  },
+  listSessions: { summary: 'List active sessions', responses: { 200: { sessions: ['Session'] } } },
+  revokeOtherSessions: {
+    summary: 'Revoke every session except the current one',
+    responses: { 200: { message: 'string', revoked: 'integer' } },
+  },
+  revokeSession: {
+    summary: 'Revoke a session',
+    params: { id: { type: 'string', required: true, description: 'Session id' } },
+    responses: { 200: 'Message' },
+  },
+  loginAttempts: {
+    summary: 'Recent failed login attempts',
+    query: { limit: { type: 'integer', min: 1, max: 100 } },
+    responses: { 200: { attempts: ['LoginAttempt'] } },
+  },
+  twoFactorStatus: { summary: 'Two-factor status', responses: { 200: { twoFactor: 'TwoFactorStatus' } } },
+  setupTwoFactor: {
+    summary: 'Start two-factor setup',
+    responses: { 200: { message: 'string', secret: 'string', otpauthUri: 'string' } },
+  },
+  confirmTwoFactor: {
+    summary: 'Confirm two-factor setup with a code',
+    body: { code: { ...totpCode, required: true } },
+    responses: { 200: recoveryCodes },
+  },
+  disableTwoFactor: {
+    summary: 'Turn off two-factor authentication',
+    body: {
+      password: { type: 'string', required: true },
+      code: totpCode,
+      recoveryCode: { type: 'string', maxLength: 32 },
+    },
+    responses: { 200: 'Message' },
+    errors: [401],
+  },
+  regenerateRecoveryCodes: {
+    summary: 'Replace the recovery codes',
+    body: { code: { ...totpCode, required: true } },
+    responses: { 200: recoveryCodes },
+  },
+};
@@ -0,0 +1,36 @@
+const AutoSaveRule = require('../models/AutoSaveRule');
+const { partial } = require('../utils/validation');
+const { objectId, idParams } = require('./common');
+
+// Which amount field applies depends on `type`; that cross-field check stays in the controller.
+const ruleFields = {
+  goal: objectId('Goal that receives the savings'),
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  type: { type: 'string', required: true, enum: AutoSaveRule.schema.path('type').enumValues },
+  trigger: { type: 'string', enum: AutoSaveRule.schema.path('trigger').enumValues },
+  roundTo: { type: 'number', min: 1 },
+  percentage: { type: 'number', min: 0, max: 100 },
+  amount: { type: 'number', min: 0 },
+  category: { type: 'string', maxLength: 100, nullable: true },
+  isActive: { type: 'boolean' },
+};
+
+const ruleEnvelope = { message: 'string', rule: 'AutoSaveRule' };
+
+module.exports = {
+  createRule: { summary: 'Create an auto-save rule', body: ruleFields, responses: { 201: ruleEnvelope }, errors: [403] },
+  listRules: {
+    summary: 'List auto-save rules',
+    query: { goal: { type: 'objectId', description: 'Only rules funding this goal' } },
+    responses: { 200: { rules: ['AutoSaveRule'] } },
+  },
+  getRule: { summary: 'Get an auto-save rule', params: idParams('Rule id'), responses: { 200: { rule: 'AutoSaveRule' } } },
+  updateRule: {
+    summary: 'Update an auto-save rule',
+    params: idParams('Rule id'),
+    body: partial(ruleFields),
+    responses: { 200: ruleEnvelope },
+    errors: [403],
+  },
+  deleteRule: { summary: 'Delete an auto-save rule', params: idParams('Rule id'), responses: { 200: 'Message' } },
+};
@@ -0,0 +1,50 @@
+const { partial } = require('../utils/validation');
+const { idParams, timezoneQuery } = require('./common');
+
+const budgetFields = {
+  category: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  limit: { type: 'number', required: true, min: 0 },
+  rollover: { type: 'boolean' },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const budgetEnvelope = { message: 'string', budget: 'Budget' };
+
+module.exports = {
+  createBudget: {
+    summary: 'Create a monthly category budget',
+    body: budgetFields,
+    responses: { 201: budgetEnvelope },
+    errors: [409],
+  },
+  listBudgets: { summary: 'List budgets', responses: { 200: { budgets: ['Budget'] } } },
+  budgetStatus: {
+    summary: 'Spending against each budget for the current month',
+    query: timezoneQuery,
+    responses: {
+      200: {
+        currency: 'string',
+        period: 'string',
+        timezone: 'string',
+        budgets: ['object'],
+        alerts: [{ category: 'string', status: 'string', percentUsed: 'number' }],
+      },
+    },
+  },
+  getBudget: { summary: 'Get a budget', params: idParams('Budget id'), responses: { 200: { budget: 'Budget' } } },
+  updateBudget: {
+    summary: 'Replace a budget',
+    params: idParams('Budget id'),
+    body: budgetFields,
+    responses: { 200: budgetEnvelope },
+    errors: [409],
+  },
+  partialUpdateBudget: {
+    summary: 'Update some fields of a budget',
+    params: idParams('Budget id'),
+    body: partial(budgetFields),
+    responses: { 200: budgetEnvelope },
+    errors: [409],
+  },
+  deleteBudget: { summary: 'Delete a budget', params: idParams('Budget id'), responses: { 200: 'Message' } },
+};
@@ -0,0 +1,93 @@
+const { partial } = require('../utils/validation');
+const { idParams, dateRangeQuery } = require('./common');
+
+// "At least one condition" and "at least one action" are checked in the controller.
+const matchFields = {
+  name: { type: 'string', maxLength: 100, description: 'Words the transaction name contains, ignoring case' },
+  smsPattern: {
+    type: 'string',
+    maxLength: 200,
+    description: 'Regular expression tested against sms_body, without nested repeats such as (a+)+ or backreferences',
+  },
+  minAmount: { type: 'number', min: 0 },
+  maxAmount: { type: 'number', min: 0 },
+  payment_method: { type: 'string', maxLength: 100 },
+};
+
+const ruleFields = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  match: { type: 'object', required: true, properties: matchFields },
+  category: { type: 'string', maxLength: 100, nullable: true },
+  tags: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 } },
+  rename: { type: 'string', maxLength: 200, nullable: true, description: 'Replaces the transaction name' },
+  priority: { type: 'integer', min: 0, max: 1000, description: 'Lower runs first' },
+  status: { type: 'string', enum: ['active', 'paused'] },
+};
+
+const ruleEnvelope = { message: 'string', rule: 'CategoryRule' };
+
+module.exports = {
+  createCategoryRule: {
+    summary: 'Create a category rule',
+    body: ruleFields,
+    responses: { 201: ruleEnvelope },
+  },
+  listCategoryRules: {
+    summary: 'List category rules',
+    query: {
+      status: {
+        type: 'string',
+        list: true,
+        description: 'Comma-separated statuses, defaults to active,paused; use suggested for learned rules',
+      },
+    },
+    responses: { 200: { rules: ['CategoryRule'] } },
+  },
+  getCategoryRule: {
+    summary: 'Get a category rule',
+    params: idParams('Rule id'),
+    responses: { 200: { rule: 'CategoryRule' } },
+  },
+  updateCategoryRule: {
+    summary: 'Update a category rule',
+    params: idParams('Rule id'),
+    body: partial(ruleFields),
+    responses: { 200: ruleEnvelope },
+  },
+  deleteCategoryRule: {
+    summary: 'Delete a category rule',
+    params: idParams('Rule id'),
+    responses: { 200: 'Message' },
+  },
+  acceptCategoryRule: {
+    summary: 'Accept a suggested rule so it starts applying',
+    params: idParams('Rule id'),
+    responses: { 200: ruleEnvelope },
+  },
+  dismissCategoryRule: {
+    summary: 'Dismiss a suggested rule; the merchant is not suggested again',
+    params: idParams('Rule id'),
+    responses: { 200: ruleEnvelope },
+  },
+  applyCategoryRules: {
+    summary: 'Re-apply category rules to existing transactions',
+    description:
+      'Runs the active rules, or only `rule`, over transactions in the date range. Categories set by hand are ' +
+      'kept unless `overwrite` is true. With `dryRun` nothing is saved.',
+    body: {
+      ...dateRangeQuery,
+      rule: { type: 'objectId', description: 'Apply only this rule, whatever its status' },
+      overwrite: { type: 'boolean' },
+      dryRun: { type: 'boolean' },
+    },
+    responses: {
+      200: {
+        message: 'string',
+        scanned: 'integer',
+        updated: 'integer',
+        dryRun: 'boolean',
+        changes: [{ id: 'string', name: 'string', changes: 'object' }],
+      },
+    },
+  },
+};
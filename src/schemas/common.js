@@ -0,0 +1,52 @@
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+
+const objectId = (description) => ({ type: 'objectId', required: true, description });
+
+const currency = (description = 'ISO 4217 currency code') => ({
+  type: 'string',
+  pattern: CURRENCY_PATTERN,
+  patternMessage: 'Currency must be a 3-letter ISO code',
+  description,
+});
+
+const idParams = (description = 'Resource id') => ({ id: objectId(description) });
+
+const dateRangeQuery = {
+  from: { type: 'date', description: 'Start of the range (inclusive)' },
+  to: { type: 'date', description: 'End of the range (inclusive)' },
+};
+
+const timezoneQuery = {
+  timezone: { type: 'string', maxLength: 64, description: 'IANA time zone used for bucketing, defaults to UTC' },
+};
+
+const paginationQuery = {
+  limit: { type: 'integer', min: 1, description: 'Maximum number of items to return' },
+  cursor: { type: 'string', description: 'Opaque cursor from the previous page' },
+};
+
+const historyQuery = {
+  ...paginationQuery,
+  limit: { ...paginationQuery.limit, max: 200 },
+};
+
+const trashQuery = {
+  ...paginationQuery,
+  limit: { ...paginationQuery.limit, max: 200 },
+};
+
+const historyResponses = {
+  200: { history: ['AuditEntry'], hasMore: 'boolean', nextCursor: 'string' },
+};
+
+module.exports = {
+  objectId,
+  currency,
+  idParams,
+  dateRangeQuery,
+  timezoneQuery,
+  paginationQuery,
+  historyQuery,
+  historyResponses,
+  trashQuery,
+};
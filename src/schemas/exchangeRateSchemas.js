@@ -0,0 +1,48 @@
+const { currency } = require('./common');
+
+module.exports = {
+  listRates: {
+    summary: 'List exchange rates',
+    query: {
+      base: currency(),
+      quote: currency(),
+      date: { type: 'date', description: 'Only rates effective on or before this date' },
+    },
+    responses: { 200: { rates: ['ExchangeRate'] } },
+  },
+  convertAmount: {
+    summary: 'Convert an amount between two currencies',
+    query: {
+      amount: { type: 'number', required: true, min: 0 },
+      from: { ...currency(), required: true },
+      to: currency('Defaults to your base currency'),
+      date: { type: 'date' },
+    },
+    responses: {
+      200: { amount: 'number', from: 'string', to: 'string', date: 'date', rate: 'number', convertedAmount: 'number' },
+    },
+  },
+  uploadRates: {
+    summary: 'Upload exchange rates (admin only)',
+    body: {
+      rates: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 1000,
+        items: {
+          type: 'object',
+          properties: {
+            base: { ...currency(), required: true },
+            quote: { ...currency(), required: true },
+            rate: { type: 'number', required: true, exclusiveMin: 0 },
+            effective_date: { type: 'date', required: true },
+          },
+        },
+      },
+    },
+    responses: {
+      201: { message: 'string', inserted: 'integer', updated: 'integer', transactionsRecomputed: 'integer' },
+    },
+  },
+};
@@ -0,0 +1,17 @@
+const { listTransactions } = require('./transactionSchemas');
+
+const format = { type: 'string', enum: ['csv', 'json'], caseInsensitive: true, description: 'Defaults to csv' };
+const produces = ['text/csv', 'application/json'];
+
+module.exports = {
+  exportTransactions: {
+    summary: 'Download transactions as CSV or JSON',
+    query: { ...listTransactions.query, format },
+    produces,
+  },
+  exportGoals: {
+    summary: 'Download goals as CSV or JSON',
+    query: { format, category: { type: 'string', maxLength: 100 } },
+    produces,
+  },
+};
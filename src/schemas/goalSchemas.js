@@ -0,0 +1,162 @@
+const Goal = require('../models/Goal');
+const { partial } = require('../utils/validation');
+const { objectId, currency, idParams, historyQuery, historyResponses, trashQuery } = require('./common');
+
+const CONTRIBUTION_TYPES = Goal.schema.path('contributions').schema.path('type').enumValues;
+const MEMBER_ROLES = Goal.schema.path('members').schema.path('role').enumValues;
+
+const goalFields = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  amount: { type: 'number', required: true, min: 0 },
+  currency: currency(),
+  description: { type: 'string', maxLength: 2000 },
+  category: { type: 'string', maxLength: 100 },
+  targetDate: { type: 'date', nullable: true },
+  isCompleted: { type: 'boolean' },
+  notes: { type: 'string', maxLength: 2000 },
+};
+
+const contributionFields = {
+  amount: { type: 'number', required: true, exclusiveMin: 0 },
+  type: { type: 'string', enum: CONTRIBUTION_TYPES },
+  currency: currency('Currency of the amount, defaults to the goal currency'),
+  note: { type: 'string', maxLength: 500, nullable: true },
+};
+
+const contributionParams = {
+  ...idParams('Goal id'),
+  contributionId: objectId('Contribution id'),
+};
+
+const invitationParams = { invitationId: objectId('Invitation id') };
+
+const goalEnvelope = { message: 'string', goal: 'Goal' };
+const invitationEnvelope = { message: 'string', invitation: 'GoalInvitation' };
+const memberParams = { ...idParams('Goal id'), userId: objectId('Member user id') };
+
+module.exports = {
+  createGoal: { summary: 'Create a goal', body: goalFields, responses: { 201: goalEnvelope } },
+  listGoals: { summary: 'List goals you own or are a member of', responses: { 200: { goals: ['Goal'] } } },
+  getGoal: { summary: 'Get a goal', params: idParams('Goal id'), responses: { 200: { goal: 'Goal' } } },
+  updateGoal: {
+    summary: 'Replace a goal (owner only)',
+    params: idParams('Goal id'),
+    body: goalFields,
+    responses: { 200: goalEnvelope },
+    errors: [403],
+  },
+  partialUpdateGoal: {
+    summary: 'Update some fields of a goal (owner only)',
+    params: idParams('Goal id'),
+    body: partial(goalFields),
+    responses: { 200: goalEnvelope },
+    errors: [403],
+  },
+  deleteGoal: {
+    summary: 'Move a goal to the trash (owner only)',
+    params: idParams('Goal id'),
+    responses: { 200: { message: 'string', deletedAt: 'date', purgeAt: 'date' } },
+    errors: [403],
+  },
+  listTrashedGoals: {
+    summary: 'List your trashed goals; they are purged after the retention window',
+    query: trashQuery,
+    responses: { 200: { goals: ['Goal'], retentionDays: 'integer', hasMore: 'boolean', nextCursor: 'string' } },
+  },
+  restoreGoal: {
+    summary: 'Restore a trashed goal',
+    params: idParams('Goal id'),
+    responses: { 200: goalEnvelope },
+  },
+  goalHistory: {
+    summary: 'Audit history of a goal and its contributions',
+    params: idParams('Goal id'),
+    query: historyQuery,
+    responses: historyResponses,
+  },
+  addContribution: {
+    summary: 'Record a deposit or withdrawal',
+    params: idParams('Goal id'),
+    body: contributionFields,
+    responses: { 201: goalEnvelope },
+    errors: [403],
+  },
+  updateContribution: {
+    summary: 'Edit a contribution',
+    params: contributionParams,
+    body: partial({ amount: contributionFields.amount, type: contributionFields.type, note: contributionFields.note }),
+    responses: { 200: goalEnvelope },
+    errors: [403],
+  },
+  deleteContribution: {
+    summary: 'Delete a contribution',
+    params: contributionParams,
+    responses: { 200: goalEnvelope },
+    errors: [403],
+  },
+  contributionHistory: {
+    summary: 'Audit history of a contribution',
+    params: contributionParams,
+    query: historyQuery,
+    responses: historyResponses,
+  },
+  inviteMember: {
+    summary: 'Invite someone to a goal by email (owner only)',
+    params: idParams('Goal id'),
+    body: {
+      email: { type: 'string', required: true, minLength: 1, maxLength: 254 },
+      role: { type: 'string', enum: MEMBER_ROLES },
+    },
+    responses: { 201: invitationEnvelope },
+    errors: [403, 409],
+  },
+  listGoalInvitations: {
+    summary: 'List invitations sent for a goal (owner only)',
+    params: idParams('Goal id'),
+    responses: { 200: { invitations: ['GoalInvitation'] } },
+    errors: [403],
+  },
+  revokeInvitation: {
+    summary: 'Revoke a pending invitation (owner only)',
+    params: { ...idParams('Goal id'), ...invitationParams },
+    responses: { 200: invitationEnvelope },
+    errors: [403],
+  },
+  listMyInvitations: {
+    summary: 'List pending invitations addressed to you (verified email required)',
+    responses: { 200: { invitations: ['GoalInvitation'] } },
+    errors: [403],
+  },
+  acceptInvitation: {
+    summary: 'Accept an invitation and join the goal',
+    params: invitationParams,
+    responses: { 200: invitationEnvelope },
+    errors: [403],
+  },
+  declineInvitation: {
+    summary: 'Decline an invitation',
+    params: invitationParams,
+    responses: { 200: invitationEnvelope },
+    errors: [403],
+  },
+  listMembers: {
+    summary: 'List the owner and members of a goal',
+    params: idParams('Goal id'),
+    responses: {
+      200: { members: [{ user: 'string', name: 'string', email: 'string', role: 'string', joinedAt: 'date' }] },
+    },
+  },
+  updateMemberRole: {
+    summary: "Change a member's role (owner only)",
+    params: memberParams,
+    body: { role: { type: 'string', required: true, enum: MEMBER_ROLES } },
+    responses: { 200: { message: 'string', member: 'GoalMember' } },
+    errors: [403],
+  },
+  removeMember: {
+    summary: 'Remove a member, or leave the goal yourself',
+    params: memberParams,
+    responses: { 200: 'Message' },
+    errors: [403],
+  },
+};
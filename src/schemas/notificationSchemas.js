@@ -0,0 +1,30 @@
+const { idParams, paginationQuery } = require('./common');
+
+module.exports = {
+  listNotifications: {
+    summary: 'List notifications, newest first',
+    query: {
+      ...paginationQuery,
+      limit: { ...paginationQuery.limit, max: 100 },
+      unread: { type: 'boolean', description: 'Only unread notifications' },
+    },
+    responses: {
+      200: {
+        notifications: ['Notification'],
+        unreadCount: 'integer',
+        hasMore: 'boolean',
+        nextCursor: 'string',
+      },
+    },
+  },
+  unreadCount: { summary: 'Count unread notifications', responses: { 200: { unreadCount: 'integer' } } },
+  markAllRead: {
+    summary: 'Mark every notification as read',
+    responses: { 200: { message: 'string', updated: 'integer' } },
+  },
+  markRead: {
+    summary: 'Mark a notification as read',
+    params: idParams('Notification id'),
+    responses: { 200: { message: 'string', notification: 'Notification' } },
+  },
+};
@@ -0,0 +1,35 @@
+const { idParams } = require('./common');
+
+const seriesEnvelope = { message: 'string', series: 'RecurringSeries' };
+
+module.exports = {
+  listRecurring: {
+    summary: 'List recurring series',
+    query: { status: { type: 'string', list: true, description: 'Comma-separated series statuses' } },
+    responses: { 200: { series: ['RecurringSeries'] } },
+  },
+  detectRecurring: {
+    summary: 'Scan transaction history for recurring charges',
+    responses: { 200: { message: 'string', series: ['RecurringSeries'] } },
+  },
+  upcomingCharges: {
+    summary: 'Recurring charges due within the next few days',
+    query: { days: { type: 'integer', min: 1, max: 365 } },
+    responses: { 200: { from: 'date', until: 'date', total: 'number', charges: ['RecurringSeries'] } },
+  },
+  confirmRecurring: {
+    summary: 'Confirm a detected series',
+    params: idParams('Recurring series id'),
+    responses: { 200: seriesEnvelope },
+  },
+  dismissRecurring: {
+    summary: 'Dismiss a detected series',
+    params: idParams('Recurring series id'),
+    responses: { 200: seriesEnvelope },
+  },
+  deleteRecurring: {
+    summary: 'Delete a recurring series',
+    params: idParams('Recurring series id'),
+    responses: { 200: 'Message' },
+  },
+};
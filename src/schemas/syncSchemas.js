@@ -0,0 +1,57 @@
+const { MAX_SYNC_MUTATIONS } = require('../utils/syncMutations');
+
+const cursor = {
+  type: 'string',
+  maxLength: 1024,
+  description: 'Cursor from the previous sync response; omit for a full download',
+};
+
+const changesResponse = {
+  cursor: 'string',
+  hasMore: 'boolean',
+  reset: 'boolean',
+  goals: { updated: ['Goal'], deleted: ['SyncTombstone'] },
+  transactions: { updated: ['Transaction'], deleted: ['SyncTombstone'] },
+  goalIds: ['string'],
+  serverTime: 'date',
+};
+
+const mutation = {
+  type: 'object',
+  properties: {
+    mutationId: { type: 'string', required: true, maxLength: 100, description: 'Client id echoed in the result' },
+    entity: { type: 'string', required: true, enum: ['goal', 'transaction'] },
+    op: { type: 'string', required: true, enum: ['create', 'update', 'delete'] },
+    id: { type: 'objectId', required: true, description: 'Generated by the client for creates' },
+    baseVersion: {
+      type: 'integer',
+      min: 1,
+      description: 'Version the edit was based on; required for update and delete',
+    },
+    data: { type: 'object', description: 'Goal or transaction fields, as for the regular endpoints' },
+  },
+};
+
+module.exports = {
+  getChanges: {
+    summary: 'Pull goals and transactions changed since a cursor',
+    description:
+      'Pages through changes, tombstones included, in `updatedAt` order. Keep pulling while `hasMore` is true ' +
+      'and store the last cursor. `reset` means the cursor was too old and the response is a full download, ' +
+      'so local data should be replaced. The last page lists `goalIds`, every goal the user can still see.',
+    query: { cursor },
+    responses: { 200: changesResponse },
+  },
+  pushChanges: {
+    summary: 'Apply offline mutations, then pull changes',
+    description:
+      'Mutations are applied in order. Updates and deletes carry the `baseVersion` they were made against; ' +
+      'when the server copy has moved on the result is a `conflict` with the server record, and nothing is ' +
+      'overwritten. Creates are idempotent on the client-generated id.',
+    body: {
+      cursor,
+      mutations: { type: 'array', maxItems: MAX_SYNC_MUTATIONS, items: mutation },
+    },
+    responses: { 200: { results: ['SyncResult'], ...changesResponse } },
+  },
+};
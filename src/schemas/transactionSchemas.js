@@ -0,0 +1,183 @@
+const Transaction = require('../models/Transaction');
+const { partial } = require('../utils/validation');
+const {
+  objectId,
+  currency,
+  idParams,
+  dateRangeQuery,
+  paginationQuery,
+  historyQuery,
+  historyResponses,
+  trashQuery,
+} = require('./common');
+
+const TRANSACTION_TYPES = Transaction.schema.path('type').enumValues;
+
+const transactionFields = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  amount: { type: 'number', required: true, min: 0 },
+  currency: currency(),
+  type: { type: 'string', enum: TRANSACTION_TYPES, caseInsensitive: true },
+  category: { type: 'string', maxLength: 100 },
+  tags: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 } },
+  transaction_date: { type: 'date' },
+  note: { type: 'string', maxLength: 1000 },
+  payment_method: { type: 'string', maxLength: 100 },
+  reference_id: { type: 'string', maxLength: 200 },
+  source: { type: 'string', maxLength: 50 },
+  sms_body: { type: 'string', maxLength: 2000 },
+  is_auto: { type: 'boolean' },
+};
+
+const listQuery = {
+  ...dateRangeQuery,
+  ...paginationQuery,
+  type: { type: 'string', list: true, description: 'Comma-separated transaction types' },
+  category: { type: 'string', list: true, description: 'Comma-separated categories' },
+  payment_method: { type: 'string', list: true, description: 'Comma-separated payment methods' },
+  source: { type: 'string', list: true, description: 'Comma-separated sources' },
+  is_auto: { type: 'boolean' },
+  min_amount: { type: 'number' },
+  max_amount: { type: 'number' },
+  q: { type: 'string', maxLength: 200, description: 'Search in name, note and SMS body' },
+};
+
+const importFields = {
+  format: { type: 'string', required: true, enum: ['csv', 'ofx', 'qif'], caseInsensitive: true },
+  content: { type: 'string', required: true, description: 'Raw statement file contents' },
+  mapping: { type: 'object', description: 'CSV column mapping' },
+  date_format: { type: 'string' },
+  default_type: { type: 'string', enum: TRANSACTION_TYPES },
+  delimiter: { type: 'string', maxLength: 1 },
+};
+
+const idempotencyHeader = {
+  'Idempotency-Key': {
+    type: 'string',
+    maxLength: 255,
+    description:
+      'Retries with the same key return the original transaction instead of a duplicate. ' +
+      'Reusing a key for a different transaction is rejected with 422.',
+  },
+};
+
+const createdTransaction = {
+  message: 'string',
+  duplicate: 'boolean',
+  transaction: 'Transaction',
+  autoSaved: [{ goal: 'string', rule: 'string', amount: 'number', currency: 'string' }],
+};
+
+const importPreview = {
+  format: 'string',
+  columns: ['string'],
+  mapping: 'object',
+  summary: { total: 'integer', ready: 'integer', duplicates: 'integer', invalid: 'integer' },
+  rows: ['object'],
+};
+
+module.exports = {
+  createTransaction: {
+    summary: 'Create a transaction',
+    headers: idempotencyHeader,
+    body: transactionFields,
+    responses: { 201: createdTransaction, 200: createdTransaction },
+    errors: [422],
+  },
+  listTransactions: {
+    summary: 'List transactions with filters and cursor pagination',
+    query: listQuery,
+    responses: {
+      200: { transactions: ['Transaction'], total: 'integer', hasMore: 'boolean', nextCursor: 'string' },
+    },
+  },
+  createTransactionFromSms: {
+    summary: 'Parse a bank SMS and record it as a transaction',
+    headers: idempotencyHeader,
+    body: {
+      sms_body: { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+      sender: { type: 'string', maxLength: 50 },
+      received_at: { type: 'date' },
+      category: { type: 'string', maxLength: 100 },
+      note: { type: 'string', maxLength: 1000 },
+    },
+    responses: {
+      201: { ...createdTransaction, parsed: { template: 'string', bank: 'string', direction: 'string', merchant: 'string' } },
+    },
+    errors: [422],
+  },
+  previewImport: {
+    summary: 'Parse a bank statement and preview the rows without saving',
+    body: importFields,
+    responses: { 200: importPreview },
+  },
+  commitImport: {
+    summary: 'Import the ready rows of a bank statement',
+    description:
+      'Rows are saved independently: rows that fail to save are listed in `failed` with the reason and the ' +
+      'others stay imported, so only the failed rows need to be sent again.',
+    body: { ...importFields, skip_invalid: { type: 'boolean' } },
+    responses: {
+      201: {
+        message: 'string',
+        summary: { ...importPreview.summary, imported: 'integer', failed: 'integer' },
+        failed: ['object'],
+      },
+    },
+  },
+  getTransaction: {
+    summary: 'Get a transaction',
+    params: idParams('Transaction id'),
+    responses: { 200: { transaction: 'Transaction' } },
+  },
+  updateTransaction: {
+    summary: 'Replace a transaction',
+    params: idParams('Transaction id'),
+    body: transactionFields,
+    responses: { 200: { message: 'string', transaction: 'Transaction' } },
+    errors: [409],
+  },
+  partialUpdateTransaction: {
+    summary: 'Update some fields of a transaction',
+    params: idParams('Transaction id'),
+    body: partial(transactionFields),
+    responses: { 200: { message: 'string', transaction: 'Transaction' } },
+    errors: [409],
+  },
+  deleteTransaction: {
+    summary: 'Move a transaction to the trash',
+    params: idParams('Transaction id'),
+    responses: { 200: { message: 'string', deletedAt: 'date', purgeAt: 'date' } },
+  },
+  listTrashedTransactions: {
+    summary: 'List trashed transactions; they are purged after the retention window',
+    query: trashQuery,
+    responses: {
+      200: { transactions: ['Transaction'], retentionDays: 'integer', hasMore: 'boolean', nextCursor: 'string' },
+    },
+  },
+  restoreTransaction: {
+    summary: 'Restore a trashed transaction and its goal contributions',
+    params: idParams('Transaction id'),
+    responses: { 200: { message: 'string', transaction: 'Transaction', restoredContributions: 'integer' } },
+  },
+  transactionHistory: {
+    summary: 'Audit history of a transaction, including after deletion',
+    params: idParams('Transaction id'),
+    query: historyQuery,
+    responses: historyResponses,
+  },
+  fundGoal: {
+    summary: 'Contribute a transaction amount to a goal',
+    params: idParams('Transaction id'),
+    body: { goal_id: objectId('Goal to fund') },
+    responses: {
+      201: {
+        message: 'string',
+        transaction: 'Transaction',
+        goal: { id: 'string', name: 'string', savedAmount: 'number', progress: 'number', isCompleted: 'boolean' },
+      },
+    },
+    errors: [403, 409],
+  },
+};
@@ -0,0 +1,29 @@
+const { parseSms } = require('../utils/sms');
+const fixtures = require('../utils/sms/fixtures');
+
+const findMismatches = ({ sender, body, expected }) => {
+  const parsed = parseSms(body, { sender });
+  return Object.entries(expected)
+    .filter(([field, value]) => (typeof parsed[field] === 'undefined' ? null : parsed[field]) !== value)
+    .map(([field, value]) => `${field} is ${JSON.stringify(parsed[field])}, expected ${JSON.stringify(value)}`);
+};
+
+// Runs every SMS fixture through the parser and lists the fields that differ.
+const checkSmsFixtures = () => {
+  let failed = 0;
+
+  fixtures.forEach((fixture) => {
+    const mismatches = findMismatches(fixture);
+    if (mismatches.length) {
+      failed += 1;
+      console.error(`${fixture.description}:\n  ${mismatches.join('\n  ')}`);
+    }
+  });
+
+  console.log(`${fixtures.length - failed}/${fixtures.length} SMS fixtures passed`);
+  return failed === 0;
+};
+
+if (!checkSmsFixtures()) {
+  process.exitCode = 1;
+}
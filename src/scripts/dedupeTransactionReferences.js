@@ -0,0 +1,87 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Transaction = require('../models/Transaction');
+
+// Run before deploying the unique `{ user, reference_id }` index. Empty references are
+// unset, and where several transactions of a user share a reference the oldest keeps it
+// and the others lose it, so no transaction is deleted. Trashed transactions are included
+// because the index covers them too. The collection is queried directly so the soft
+// delete plugin does not hide them.
+const BATCH_SIZE = 500;
+const REFERENCE_INDEX = { user: 1, reference_id: 1 };
+const CLEAR_REFERENCE = { $unset: { reference_id: '' }, $inc: { version: 1 }, $currentDate: { updatedAt: true } };
+
+const clearEmptyReferences = async () => {
+  const result = await Transaction.collection.updateMany({ reference_id: '' }, CLEAR_REFERENCE);
+  return result.modifiedCount;
+};
+
+const clearDuplicateReferences = async () => {
+  const cursor = Transaction.collection.aggregate(
+    [
+      { $match: { reference_id: { $type: 'string', $gt: '' } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { user: '$user', reference_id: '$reference_id' },
+          ids: { $push: '$_id' },
+        },
+      },
+      { $match: { 'ids.1': { $exists: true } } },
+    ],
+    { allowDiskUse: true }
+  );
+
+  let operations = [];
+  let cleared = 0;
+
+  for await (const group of cursor) {
+    const [kept, ...duplicates] = group.ids;
+    console.log(`Reference ${group._id.reference_id}: kept ${kept}, cleared ${duplicates.join(', ')}`);
+
+    duplicates.forEach((id) => operations.push({ updateOne: { filter: { _id: id }, update: CLEAR_REFERENCE } }));
+
+    if (operations.length >= BATCH_SIZE) {
+      const result = await Transaction.collection.bulkWrite(operations);
+      cleared += result.modifiedCount;
+      operations = [];
+    }
+  }
+
+  if (operations.length) {
+    const result = await Transaction.collection.bulkWrite(operations);
+    cleared += result.modifiedCount;
+  }
+
+  return cleared;
+};
+
+// An index built from an older definition has the same name but another filter, so it
+// has to be dropped before the current one can be created.
+const rebuildReferenceIndex = async () => {
+  const indexes = await Transaction.collection.indexes();
+  const existing = indexes.find((index) => JSON.stringify(index.key) === JSON.stringify(REFERENCE_INDEX));
+  if (existing) {
+    await Transaction.collection.dropIndex(existing.name);
+  }
+  await Transaction.createIndexes();
+};
+
+const dedupeTransactionReferences = async () => {
+  await connectDB();
+
+  const emptied = await clearEmptyReferences();
+  const cleared = await clearDuplicateReferences();
+  await rebuildReferenceIndex();
+
+  console.log(`Unset ${emptied} empty and ${cleared} duplicate transaction references`);
+};
+
+dedupeTransactionReferences()
+  .catch((error) => {
+    console.error('Transaction reference dedupe error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
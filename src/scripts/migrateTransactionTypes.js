@@ -0,0 +1,56 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Transaction = require('../models/Transaction');
+const { extractDirection } = require('../utils/sms/extractors');
+
+const BATCH_SIZE = 500;
+
+const inferType = (transaction) => {
+  if (transaction.sms_body) {
+    return extractDirection(transaction.sms_body) || 'debit';
+  }
+  return 'debit';
+};
+
+const migrateTransactionTypes = async () => {
+  await connectDB();
+
+  const cursor = Transaction.find({ type: { $exists: false } })
+    .select('_id sms_body')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  for await (const transaction of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: transaction._id, type: { $exists: false } },
+        update: { $set: { type: inferType(transaction) } },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      const result = await Transaction.bulkWrite(operations);
+      updated += result.modifiedCount;
+      operations = [];
+    }
+  }
+
+  if (operations.length) {
+    const result = await Transaction.bulkWrite(operations);
+    updated += result.modifiedCount;
+  }
+
+  console.log(`Set type on ${updated} transactions`);
+};
+
+migrateTransactionTypes()
+  .catch((error) => {
+    console.error('Transaction type migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,239 @@
+const AuditLog = require('../models/AuditLog');
+const { encodeCursor, decodeCursor } = require('./common');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+// Fields recorded for each resource. Derived values that are recomputed in bulk, such as
+// a transaction's base_amount, are left out so currency refreshes do not flood the log.
+const TRANSACTION_FIELDS = [
+  'name',
+  'amount',
+  'currency',
+  'type',
+  'category',
+  'tags',
+  'transaction_date',
+  'note',
+  'payment_method',
+  'reference_id',
+  'source',
+  'deletedAt',
+];
+const GOAL_FIELDS = [
+  'name',
+  'amount',
+  'currency',
+  'savedAmount',
+  'description',
+  'category',
+  'targetDate',
+  'isCompleted',
+  'notes',
+  'deletedAt',
+];
+const CONTRIBUTION_FIELDS = [
+  'amount',
+  'type',
+  'currency',
+  'convertedAmount',
+  'note',
+  'source',
+  'transaction',
+  'rule',
+  'contributor',
+];
+
+const normalizeValue = (value) => {
+  if (value === null || typeof value === 'undefined') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  // Copied so a snapshot does not follow later edits to the same array; empty counts as unset.
+  if (Array.isArray(value)) {
+    return value.length ? value.map(normalizeValue) : null;
+  }
+  if (typeof value === 'object' && value._bsontype === 'ObjectId') {
+    return String(value);
+  }
+  return value;
+};
+
+const pickFields = (source, fields) =>
+  fields.reduce((acc, field) => {
+    acc[field] = normalizeValue(source[field]);
+    return acc;
+  }, {});
+
+const snapshotTransaction = (transaction) => pickFields(transaction, TRANSACTION_FIELDS);
+const snapshotGoal = (goal) => pickFields(goal, GOAL_FIELDS);
+const snapshotContribution = (entry) => pickFields(entry, CONTRIBUTION_FIELDS);
+
+// Compares two snapshots; a missing side (create or delete) lists every non-empty field.
+const diffSnapshots = (before, after) => {
+  const fields = Object.keys(before || after || {});
+  return fields
+    .map((field) => ({
+      field,
+      before: before ? before[field] : null,
+      after: after ? after[field] : null,
+    }))
+    .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after));
+};
+
+const actionFor = (before, after) => {
+  if (!before) {
+    return 'create';
+  }
+  return after ? 'update' : 'delete';
+};
+
+const buildEntry = (context, base, before, after, action) => {
+  const changes = diffSnapshots(before, after);
+  if (!changes.length) {
+    return null;
+  }
+  return {
+    ...base,
+    action: action || actionFor(before, after),
+    changes,
+    actor: context.actor || null,
+    requestId: context.requestId,
+  };
+};
+
+const auditContextFromRequest = (req) => ({ actor: req.user ? req.user._id : null, requestId: req.id });
+
+// `before` is a snapshot taken before the change; pass `deleted` when the document is gone.
+// `action` overrides the derived one, e.g. moving to the trash is a `delete` even though
+// the document itself was only updated.
+const buildTransactionAuditEntry = (context, transaction, { before = null, deleted = false, action } = {}) =>
+  buildEntry(
+    context,
+    { user: transaction.user, resourceType: 'transaction', resource: transaction._id },
+    deleted ? snapshotTransaction(transaction) : before,
+    deleted ? null : snapshotTransaction(transaction),
+    action
+  );
+
+// Captures a goal and its contributions before a change so buildGoalAuditEntries can
+// compare against the saved document afterwards.
+const captureGoal = (goal) => ({
+  goal: snapshotGoal(goal),
+  contributions: new Map(
+    (goal.contributions || []).map((entry) => [String(entry._id), snapshotContribution(entry)])
+  ),
+});
+
+const buildGoalAuditEntries = (context, goal, { before = null, deleted = false, action } = {}) => {
+  const base = { user: goal.user, goal: goal._id };
+
+  if (deleted) {
+    // Contributions go away with the goal; the goal entry records the final state.
+    return [
+      buildEntry(context, { ...base, resourceType: 'goal', resource: goal._id }, snapshotGoal(goal), null, action),
+    ];
+  }
+
+  const after = captureGoal(goal);
+  const previous = before ? before.contributions : new Map();
+  const contributionIds = new Set([...previous.keys(), ...after.contributions.keys()]);
+
+  return [
+    buildEntry(
+      context,
+      { ...base, resourceType: 'goal', resource: goal._id },
+      before && before.goal,
+      after.goal,
+      action
+    ),
+    ...[...contributionIds].map((contributionId) =>
+      buildEntry(
+        context,
+        { ...base, resourceType: 'contribution', resource: contributionId },
+        previous.get(contributionId) || null,
+        after.contributions.get(contributionId) || null
+      )
+    ),
+  ];
+};
+
+// Audit writes happen after the change is stored, so a failure is logged rather than
+// turned into an error response for a change that already succeeded.
+const recordAudit = async (entries) => {
+  const filtered = entries.filter(Boolean);
+  if (!filtered.length) {
+    return;
+  }
+
+  try {
+    await AuditLog.insertMany(filtered, { ordered: false });
+  } catch (error) {
+    console.error('Record audit log error:', error);
+  }
+};
+
+const recordTransactionChange = (context, transaction, options) =>
+  recordAudit([buildTransactionAuditEntry(context, transaction, options)]);
+
+const recordGoalChange = (context, goal, options) => recordAudit(buildGoalAuditEntries(context, goal, options));
+
+const buildAuditEntryResponse = (entry) => ({
+  id: entry._id,
+  resourceType: entry.resourceType,
+  resource: entry.resource,
+  goal: entry.goal,
+  action: entry.action,
+  changes: entry.changes,
+  actor: entry.actor,
+  user: entry.user,
+  requestId: entry.requestId,
+  createdAt: entry.createdAt,
+});
+
+// Newest first with the same createdAt/_id cursor the notification feed uses.
+const findAuditPage = async (filter, query = {}) => {
+  const limit = typeof query.limit === 'undefined' ? DEFAULT_HISTORY_LIMIT : Number(query.limit);
+
+  let pageFilter = filter;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor provided' };
+    }
+    pageFilter = {
+      $and: [
+        filter,
+        { $or: [{ createdAt: { $lt: cursor.date } }, { createdAt: cursor.date, _id: { $lt: cursor.id } }] },
+      ],
+    };
+  }
+
+  const pageSize = Math.min(limit, MAX_HISTORY_LIMIT);
+  const entries = await AuditLog.find(pageFilter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1);
+
+  const hasMore = entries.length > pageSize;
+  const page = hasMore ? entries.slice(0, pageSize) : entries;
+
+  return {
+    history: page.map(buildAuditEntryResponse),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt') : null,
+  };
+};
+
+module.exports = {
+  findAuditPage,
+  auditContextFromRequest,
+  snapshotTransaction,
+  captureGoal,
+  buildTransactionAuditEntry,
+  buildGoalAuditEntries,
+  recordAudit,
+  recordTransactionChange,
+  recordGoalChange,
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateTokenValue = () => crypto.randomBytes(32).toString('hex');
+
+// Only the hash is stored; issuing a new token replaces any earlier one for the same purpose.
+const issueAuthToken = async (userId, purpose, ttlMs) => {
+  const token = generateTokenValue();
+
+  await AuthToken.deleteMany({ user: userId, purpose });
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Deleting on lookup makes each token single-use even under concurrent requests.
+const consumeAuthToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const entry = await AuthToken.findOneAndDelete({ tokenHash: hashToken(token), purpose });
+  if (!entry || entry.expiresAt.getTime() <= Date.now()) {
+    return null;
+  }
+  return entry;
+};
+
+module.exports = {
+  hashToken,
+  generateTokenValue,
+  issueAuthToken,
+  consumeAuthToken,
+};
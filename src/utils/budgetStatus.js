@@ -0,0 +1,108 @@
+const Transaction = require('../models/Transaction');
+const { BASE_AMOUNT_EXPRESSION } = require('./currency');
+const { SPENDING_FILTER } = require('./transactionQuery');
+const { DAY_IN_MS } = require('./common');
+
+const WARNING_THRESHOLD = 80;
+const EXCEEDED_THRESHOLD = 100;
+
+const buildBudgetResponse = (budget) => ({
+  id: budget._id,
+  category: budget.category,
+  limit: budget.limit,
+  rollover: budget.rollover,
+  notes: budget.notes,
+  createdAt: budget.createdAt,
+  updatedAt: budget.updatedAt,
+});
+
+const getPeriodKey = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit' }).format(date);
+
+const getPreviousPeriodKey = (periodKey) => {
+  const [year, month] = periodKey.split('-').map(Number);
+  const previous = month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+  return `${previous.year}-${String(previous.month).padStart(2, '0')}`;
+};
+
+const getSpendingByPeriod = async (userId, categories, timeZone, now) => {
+  const since = new Date(now.getTime() - 63 * DAY_IN_MS);
+
+  const results = await Transaction.aggregate([
+    {
+      $match: {
+        user: userId,
+        ...SPENDING_FILTER,
+        category: { $in: categories },
+        transaction_date: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          category: '$category',
+          period: { $dateToString: { format: '%Y-%m', date: '$transaction_date', timezone: timeZone } },
+        },
+        spent: { $sum: BASE_AMOUNT_EXPRESSION },
+      },
+    },
+  ]);
+
+  return results.reduce((acc, entry) => {
+    acc.set(`${entry._id.category}|${entry._id.period}`, entry.spent);
+    return acc;
+  }, new Map());
+};
+
+const buildBudgetStatus = (budget, spending, period) => {
+  const spent = spending.get(`${budget.category}|${period.current}`) || 0;
+  const previousSpent = spending.get(`${budget.category}|${period.previous}`) || 0;
+  const carriedOver = budget.rollover ? Math.max(0, budget.limit - previousSpent) : 0;
+  const available = budget.limit + carriedOver;
+  const percentUsed = available > 0 ? Number(((spent / available) * 100).toFixed(2)) : spent > 0 ? 100 : 0;
+
+  let status = 'ok';
+  if (percentUsed >= EXCEEDED_THRESHOLD) {
+    status = 'exceeded';
+  } else if (percentUsed >= WARNING_THRESHOLD) {
+    status = 'warning';
+  }
+
+  return {
+    budget: buildBudgetResponse(budget),
+    period: period.current,
+    limit: budget.limit,
+    carriedOver: Number(carriedOver.toFixed(2)),
+    available: Number(available.toFixed(2)),
+    spent: Number(spent.toFixed(2)),
+    remaining: Number(Math.max(0, available - spent).toFixed(2)),
+    percentUsed,
+    status,
+    alerts: {
+      warning: percentUsed >= WARNING_THRESHOLD,
+      exceeded: percentUsed >= EXCEEDED_THRESHOLD,
+    },
+  };
+};
+
+// Spending against each budget for the month containing `now` in `timeZone`.
+const getBudgetStatuses = async (userId, budgets, timeZone, now = new Date()) => {
+  const current = getPeriodKey(now, timeZone);
+  const period = { current, previous: getPreviousPeriodKey(current) };
+
+  const spending = budgets.length
+    ? await getSpendingByPeriod(
+        userId,
+        budgets.map((budget) => budget.category),
+        timeZone,
+        now
+      )
+    : new Map();
+
+  return { period: current, statuses: budgets.map((budget) => buildBudgetStatus(budget, spending, period)) };
+};
+
+module.exports = {
+  buildBudgetResponse,
+  getBudgetStatuses,
+};
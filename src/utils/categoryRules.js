@@ -0,0 +1,273 @@
+const CategoryRule = require('../models/CategoryRule');
+const Transaction = require('../models/Transaction');
+const { normalizeMerchantKey } = require('./recurringDetector');
+const { snapshotTransaction, recordTransactionChange } = require('./audit');
+const { notifySafely, buildCategoryRuleSuggestion } = require('./notifications');
+const { parsePositiveNumber } = require('./common');
+
+// Manual recategorizations of one merchant to the same category before a rule is suggested.
+const CATEGORY_SUGGESTION_THRESHOLD = parsePositiveNumber(process.env.CATEGORY_SUGGESTION_THRESHOLD, 3);
+const MAX_PREVIEW_CHANGES = 50;
+
+const findActiveRules = (userId) =>
+  CategoryRule.find({ user: userId, status: 'active' }).sort({ priority: 1, createdAt: 1 });
+
+// Names match on whole words, ignoring case, digits and punctuation, so `swiggy` matches
+// "SWIGGY*ORDER 8812" but not "swiggyinstamart".
+const containsWords = (value, words) => ` ${normalizeMerchantKey(value)} `.includes(` ${normalizeMerchantKey(words)} `);
+
+// Reads the quantifier starting at `index`, if any, and whether it can repeat more than once.
+const readQuantifier = (pattern, index) => {
+  const char = pattern[index];
+  if (char === '*' || char === '+') {
+    return { length: 1, repeats: true };
+  }
+  if (char === '?') {
+    return { length: 1, repeats: false };
+  }
+  const bounds = char === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index)) : null;
+  if (!bounds) {
+    return null;
+  }
+  const max = bounds[2] ? bounds[3] : bounds[1];
+  return { length: bounds[0].length, repeats: max === '' || Number(max) > 1 };
+};
+
+// Rule patterns run against every incoming SMS, so patterns that can backtrack
+// exponentially are refused: a repeated group may not itself contain a repeat or an
+// alternation, as in `(a+)+` or `(a|ab)*`, and backreferences are not allowed.
+const isSafePattern = (pattern) => {
+  const groups = [{ repeats: false, alternates: false }];
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    let group = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[index + 1] || '')) {
+        return false;
+      }
+      index += 2;
+    } else if (char === '[') {
+      index += 1;
+      while (index < pattern.length && pattern[index] !== ']') {
+        index += pattern[index] === '\\' ? 2 : 1;
+      }
+      index += 1;
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      index += 1;
+      continue;
+    } else if (char === ')') {
+      if (groups.length === 1) {
+        return false;
+      }
+      group = groups.pop();
+      index += 1;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+      index += 1;
+      continue;
+    } else {
+      index += 1;
+    }
+
+    const quantifier = readQuantifier(pattern, index);
+    const current = groups[groups.length - 1];
+    if (quantifier) {
+      index += quantifier.length + (pattern[index + quantifier.length] === '?' ? 1 : 0);
+      if (quantifier.repeats && group && (group.repeats || group.alternates)) {
+        return false;
+      }
+      current.repeats = current.repeats || quantifier.repeats;
+    }
+    if (group) {
+      current.repeats = current.repeats || group.repeats;
+    }
+  }
+
+  return groups.length === 1;
+};
+
+// Compiled once per rule document; unsafe or invalid patterns never match.
+const compiledPatterns = new WeakMap();
+
+const getSmsPattern = (rule) => {
+  if (!compiledPatterns.has(rule)) {
+    const { smsPattern } = rule.match;
+    let compiled = null;
+    if (isSafePattern(smsPattern)) {
+      try {
+        compiled = new RegExp(smsPattern, 'i');
+      } catch (error) {
+        compiled = null;
+      }
+    }
+    compiledPatterns.set(rule, compiled);
+  }
+  return compiledPatterns.get(rule);
+};
+
+const matchesRule = (rule, transaction) => {
+  const { name, smsPattern, minAmount, maxAmount, payment_method: paymentMethod } = rule.match || {};
+
+  if (name && !containsWords(transaction.name, name)) {
+    return false;
+  }
+  if (smsPattern) {
+    const pattern = getSmsPattern(rule);
+    if (!pattern || !transaction.sms_body || !pattern.test(transaction.sms_body)) {
+      return false;
+    }
+  }
+  if (typeof minAmount === 'number' && !(transaction.amount >= minAmount)) {
+    return false;
+  }
+  if (typeof maxAmount === 'number' && !(transaction.amount <= maxAmount)) {
+    return false;
+  }
+  if (paymentMethod && String(transaction.payment_method || '').toLowerCase() !== paymentMethod.toLowerCase()) {
+    return false;
+  }
+  return true;
+};
+
+// Returns the fields the rules would change. Rules run in priority order against the
+// transaction as it was: the first matching rule with a category or a new name decides
+// that field, and tags from every matching rule are added. A category chosen by hand is
+// only replaced with `overwrite`.
+const applyRules = (rules, transaction, { overwrite = false } = {}) => {
+  const changes = {};
+  const tags = [...(transaction.tags || [])];
+  let categoryDecided = false;
+  let nameDecided = false;
+
+  rules
+    .filter((rule) => matchesRule(rule, transaction))
+    .forEach((rule) => {
+      if (rule.category && !categoryDecided) {
+        categoryDecided = true;
+        const ruleOwnsCategory = !transaction.category || Boolean(transaction.category_rule);
+        if ((overwrite || ruleOwnsCategory) && transaction.category !== rule.category) {
+          changes.category = rule.category;
+        }
+        if ((overwrite || ruleOwnsCategory) && String(transaction.category_rule) !== String(rule._id)) {
+          changes.category_rule = rule._id;
+        }
+      }
+      if (rule.rename && !nameDecided) {
+        nameDecided = true;
+        if (transaction.name !== rule.rename) {
+          changes.name = rule.rename;
+        }
+      }
+      (rule.tags || []).filter((tag) => !tags.includes(tag)).forEach((tag) => tags.push(tag));
+    });
+
+  if (tags.length !== (transaction.tags || []).length) {
+    changes.tags = tags;
+  }
+  return changes;
+};
+
+// For new transactions: fills in the payload before it is saved.
+const categorizePayload = async (userId, payload) => {
+  const rules = await findActiveRules(userId);
+  return Object.assign(payload, applyRules(rules, payload));
+};
+
+// Runs `rules` over existing transactions. With `dryRun` nothing is saved and the first
+// changes are returned as a preview.
+const reapplyCategoryRules = async (userId, options, auditContext) => {
+  const { rules, from, to, overwrite = false, dryRun = false } = options;
+  const filter = { user: userId };
+  if (from || to) {
+    filter.transaction_date = {
+      ...(from ? { $gte: new Date(from) } : {}),
+      ...(to ? { $lte: new Date(to) } : {}),
+    };
+  }
+
+  const summary = { scanned: 0, updated: 0, dryRun, changes: [] };
+  if (!rules.length) {
+    return summary;
+  }
+
+  for await (const transaction of Transaction.find(filter).cursor()) {
+    summary.scanned += 1;
+    const changes = applyRules(rules, transaction, { overwrite });
+    if (!Object.keys(changes).length) {
+      continue;
+    }
+
+    summary.updated += 1;
+    if (summary.changes.length < MAX_PREVIEW_CHANGES) {
+      summary.changes.push({ id: transaction._id, name: transaction.name, changes });
+    }
+    if (!dryRun) {
+      const before = snapshotTransaction(transaction);
+      transaction.set(changes);
+      await transaction.save();
+      await recordTransactionChange(auditContext, transaction, { before });
+    }
+  }
+
+  return summary;
+};
+
+const isManualRecategorization = (previousCategory, transaction) =>
+  Boolean(transaction.category) && transaction.category !== previousCategory;
+
+// Counts a manual recategorization towards a suggested rule for the merchant. Merchants
+// already matched by a rule by name, including a dismissed suggestion, are left alone.
+const learnFromRecategorization = async (transaction) => {
+  try {
+    const merchant = normalizeMerchantKey(transaction.name);
+    if (!merchant || !transaction.category) {
+      return null;
+    }
+
+    const namedRules = await CategoryRule.find({
+      user: transaction.user,
+      status: { $ne: 'learning' },
+      'match.name': { $type: 'string' },
+    }).select('match.name');
+    if (namedRules.some((rule) => containsWords(transaction.name, rule.match.name))) {
+      return null;
+    }
+
+    const rule = await CategoryRule.findOneAndUpdate(
+      { user: transaction.user, status: 'learning', 'match.name': merchant, category: transaction.category },
+      {
+        $inc: { occurrences: 1 },
+        $setOnInsert: { name: `${transaction.name} → ${transaction.category}` },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    if (rule.occurrences < CATEGORY_SUGGESTION_THRESHOLD) {
+      return null;
+    }
+
+    rule.status = 'suggested';
+    await rule.save();
+    notifySafely([buildCategoryRuleSuggestion(rule)]);
+    return rule;
+  } catch (error) {
+    console.error('Learn category rule error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  CATEGORY_SUGGESTION_THRESHOLD,
+  findActiveRules,
+  isSafePattern,
+  matchesRule,
+  applyRules,
+  categorizePayload,
+  reapplyCategoryRules,
+  isManualRecategorization,
+  learnFromRecategorization,
+};
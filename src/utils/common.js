@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// For numeric settings read from the environment: anything but a positive number falls
+// back to the default.
+const parsePositiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Paginated feeds resume after the last document sent, identified by the date field the
+// feed is sorted on and its _id so documents sharing a timestamp are neither skipped nor
+// repeated.
+const encodeCursor = (doc, dateField) =>
+  Buffer.from(JSON.stringify({ date: doc[dateField].toISOString(), id: String(doc._id) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { date, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const parsedDate = new Date(date);
+
+    if (Number.isNaN(parsedDate.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { date: parsedDate, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DAY_IN_MS,
+  parsePositiveNumber,
+  isValidTimeZone,
+  encodeCursor,
+  decodeCursor,
+};
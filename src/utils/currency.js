@@ -0,0 +1,177 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'INR').toUpperCase();
+const PIVOT_CURRENCY = (process.env.EXCHANGE_RATE_PIVOT || 'USD').toUpperCase();
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const BATCH_SIZE = 500;
+
+const normalizeCurrency = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const code = value.trim().toUpperCase();
+  return CURRENCY_PATTERN.test(code) ? code : null;
+};
+
+const roundAmount = (value) => Number(value.toFixed(2));
+
+const findStoredRate = async (base, quote, date) => {
+  const entry = await ExchangeRate.findOne({ base, quote, effectiveDate: { $lte: date } }).sort({
+    effectiveDate: -1,
+  });
+  return entry ? entry.rate : null;
+};
+
+const findDirectRate = async (from, to, date) => {
+  const direct = await findStoredRate(from, to, date);
+  if (direct) {
+    return direct;
+  }
+
+  const inverse = await findStoredRate(to, from, date);
+  return inverse ? 1 / inverse : null;
+};
+
+const lookupRate = async (from, to, date) => {
+  if (from === to) {
+    return 1;
+  }
+
+  const direct = await findDirectRate(from, to, date);
+  if (direct) {
+    return direct;
+  }
+
+  if (from === PIVOT_CURRENCY || to === PIVOT_CURRENCY) {
+    return null;
+  }
+
+  const [toPivot, fromPivot] = await Promise.all([
+    findDirectRate(from, PIVOT_CURRENCY, date),
+    findDirectRate(PIVOT_CURRENCY, to, date),
+  ]);
+  return toPivot && fromPivot ? toPivot * fromPivot : null;
+};
+
+const createRateConverter = () => {
+  const cache = new Map();
+
+  const getRate = (from, to, date = new Date()) => {
+    const key = `${from}:${to}:${date.toISOString().slice(0, 10)}`;
+    if (!cache.has(key)) {
+      cache.set(key, lookupRate(from, to, date));
+    }
+    return cache.get(key);
+  };
+
+  const convert = async (amount, from, to, date = new Date()) => {
+    const rate = await getRate(from, to, date);
+    return rate === null ? null : roundAmount(amount * rate);
+  };
+
+  return { getRate, convert };
+};
+
+const applyBaseAmount = async (payload, baseCurrency, converter = createRateConverter()) => {
+  const currency = payload.currency || baseCurrency;
+  payload.currency = currency;
+
+  if (typeof payload.amount !== 'number') {
+    return payload;
+  }
+
+  const baseAmount = await converter.convert(
+    payload.amount,
+    currency,
+    baseCurrency,
+    payload.transaction_date || new Date()
+  );
+  if (baseAmount !== null) {
+    payload.base_amount = baseAmount;
+  }
+  return payload;
+};
+
+const BASE_AMOUNT_FIELDS = ['amount', 'currency', 'transaction_date'];
+
+const usesBaseAmountFields = (changedFields) =>
+  !changedFields || changedFields.some((field) => BASE_AMOUNT_FIELDS.includes(field));
+
+// Sets base_amount on the document without saving it.
+const assignBaseAmount = async (transaction, baseCurrency) => {
+  const payload = {
+    amount: transaction.amount,
+    currency: transaction.currency,
+    transaction_date: transaction.transaction_date,
+  };
+  await applyBaseAmount(payload, baseCurrency);
+
+  transaction.currency = payload.currency;
+  transaction.base_amount = payload.base_amount;
+  return transaction;
+};
+
+const recomputeBaseAmounts = async (userId, baseCurrency, filter = {}) => {
+  const converter = createRateConverter();
+  const cursor = Transaction.find({ user: userId, ...filter })
+    .select('_id amount currency transaction_date')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length) {
+      const result = await Transaction.bulkWrite(operations);
+      updated += result.modifiedCount;
+      operations = [];
+    }
+  };
+
+  for await (const transaction of cursor) {
+    const baseAmount = await converter.convert(
+      transaction.amount,
+      transaction.currency || baseCurrency,
+      baseCurrency,
+      transaction.transaction_date
+    );
+
+    // Only rows whose value actually changes are written, so their sync version and
+    // updatedAt move and offline clients pull them again.
+    operations.push({
+      updateOne:
+        baseAmount === null
+          ? {
+              filter: { _id: transaction._id, base_amount: { $exists: true } },
+              update: { $unset: { base_amount: '' }, $inc: { version: 1 } },
+            }
+          : {
+              filter: { _id: transaction._id, base_amount: { $ne: baseAmount } },
+              update: { $set: { base_amount: baseAmount }, $inc: { version: 1 } },
+            },
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return updated;
+};
+
+const BASE_AMOUNT_EXPRESSION = { $ifNull: ['$base_amount', '$amount'] };
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  PIVOT_CURRENCY,
+  BASE_AMOUNT_EXPRESSION,
+  normalizeCurrency,
+  createRateConverter,
+  applyBaseAmount,
+  usesBaseAmountFields,
+  assignBaseAmount,
+  recomputeBaseAmounts,
+};
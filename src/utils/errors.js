@@ -0,0 +1,39 @@
+// Machine-readable codes for the uniform error body `{ message, code, details? }`.
+// Clients should branch on `code`; `message` is for display only.
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+};
+
+const errorCodeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+class AppError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code || errorCodeForStatus(status);
+    this.details = details;
+  }
+}
+
+const buildErrorBody = ({ message, code, details }) => {
+  const body = { message, code };
+  if (details && details.length) {
+    body.details = details;
+  }
+  return body;
+};
+
+module.exports = {
+  AppError,
+  errorCodeForStatus,
+  buildErrorBody,
+};
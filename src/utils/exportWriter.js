@@ -0,0 +1,105 @@
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatValue = (value) => {
+  if (value === null || typeof value === 'undefined') {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.join(';');
+  }
+  return value;
+};
+
+const escapeCsvValue = (value) => {
+  const formatted = formatValue(value);
+
+  if (typeof formatted !== 'string') {
+    return String(formatted);
+  }
+
+  const guarded = FORMULA_PREFIX.test(formatted) ? `'${formatted}` : formatted;
+  return /[",\r\n]/.test(guarded) ? `"${guarded.replace(/"/g, '""')}"` : guarded;
+};
+
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+const toJsonValue = (row) =>
+  Object.entries(row).reduce((acc, [key, value]) => {
+    acc[key] = value instanceof Date ? value.toISOString() : value;
+    return acc;
+  }, {});
+
+const setDownloadHeaders = (res, format, filename) => {
+  res.setHeader(
+    'Content-Type',
+    format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8'
+  );
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+};
+
+// Resolves to false once the client has gone, so the caller can stop reading rows.
+const writeChunk = (res, chunk) =>
+  new Promise((resolve, reject) => {
+    if (res.destroyed) {
+      resolve(false);
+      return;
+    }
+    if (res.write(chunk)) {
+      resolve(true);
+      return;
+    }
+
+    const settle = (callback, value) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onError);
+      callback(value);
+    };
+    const onDrain = () => settle(resolve, true);
+    const onClose = () => settle(resolve, false);
+    const onError = (error) => settle(reject, error);
+
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onError);
+  });
+
+async function* csvChunks(columns, rows) {
+  yield `\uFEFF${toCsvLine(columns)}`;
+  for await (const row of rows) {
+    yield toCsvLine(columns.map((column) => row[column]));
+  }
+}
+
+async function* jsonChunks(rows) {
+  let first = true;
+  yield '[';
+  for await (const row of rows) {
+    yield `${first ? '' : ','}\n${JSON.stringify(toJsonValue(row))}`;
+    first = false;
+  }
+  yield '\n]\n';
+}
+
+// Stops reading rows as soon as the client disconnects; the caller closes the cursor behind them.
+const streamRows = async (res, { format, filename, columns, rows }) => {
+  setDownloadHeaders(res, format, filename);
+
+  const chunks = format === 'csv' ? csvChunks(columns, rows) : jsonChunks(rows);
+  for await (const chunk of chunks) {
+    if (!(await writeChunk(res, chunk))) {
+      return;
+    }
+  }
+
+  res.end();
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvLine,
+  streamRows,
+};
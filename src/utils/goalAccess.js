@@ -0,0 +1,46 @@
+const Goal = require('../models/Goal');
+
+const CONTRIBUTING_ROLES = ['owner', 'contributor'];
+
+const goalAccessFilter = (userId) => ({ $or: [{ user: userId }, { 'members.user': userId }] });
+
+const getGoalRole = (goal, userId) => {
+  if (String(goal.user) === String(userId)) {
+    return 'owner';
+  }
+
+  const member = (goal.members || []).find((entry) => String(entry.user) === String(userId));
+  return member ? member.role : null;
+};
+
+const canContribute = (role) => CONTRIBUTING_ROLES.includes(role);
+
+const findAccessibleGoal = async (goalId, userId) => {
+  const goal = await Goal.findOne({ _id: goalId, ...goalAccessFilter(userId) });
+  return goal ? { goal, role: getGoalRole(goal, userId) } : { goal: null, role: null };
+};
+
+const calculateMemberTotals = (goal) => {
+  const totals = new Map([[String(goal.user), 0]]);
+  (goal.members || []).forEach((member) => totals.set(String(member.user), 0));
+
+  (goal.contributions || []).forEach((entry) => {
+    const contributorId = String(entry.contributor || goal.user);
+    const delta = Goal.contributionDelta(entry);
+    totals.set(contributorId, (totals.get(contributorId) || 0) + delta);
+  });
+
+  return [...totals.entries()].map(([user, total]) => ({
+    user,
+    role: getGoalRole(goal, user) || 'former_member',
+    total: Number(total.toFixed(2)),
+  }));
+};
+
+module.exports = {
+  goalAccessFilter,
+  getGoalRole,
+  canContribute,
+  findAccessibleGoal,
+  calculateMemberTotals,
+};
@@ -0,0 +1,78 @@
+const Goal = require('../models/Goal');
+const { DAY_IN_MS } = require('./common');
+
+const DAYS_PER_MONTH = 30.44;
+const RECENT_WINDOW_DAYS = 90;
+const BEHIND_RATIO = 0.75;
+
+const roundAmount = (value) => Number(value.toFixed(2));
+
+const calculateVelocity = (goal, now) => {
+  const contributions = goal.contributions || [];
+  const firstContributionAt = contributions.reduce(
+    (earliest, entry) => (entry.createdAt && entry.createdAt < earliest ? entry.createdAt : earliest),
+    goal.createdAt || now
+  );
+
+  const elapsedDays = Math.max(1, (now - firstContributionAt) / DAY_IN_MS);
+  const windowDays = Math.min(RECENT_WINDOW_DAYS, elapsedDays);
+  const windowStart = new Date(now.getTime() - windowDays * DAY_IN_MS);
+
+  const recentNet = contributions
+    .filter((entry) => entry.createdAt && entry.createdAt >= windowStart)
+    .reduce((sum, entry) => sum + Goal.contributionDelta(entry), 0);
+
+  const overallDaily = (goal.savedAmount || 0) / elapsedDays;
+  const recentDaily = recentNet / windowDays;
+
+  return Math.max(0, elapsedDays > RECENT_WINDOW_DAYS ? recentDaily : overallDaily);
+};
+
+const resolveStatus = ({ isCompleted, targetDate, dailyVelocity, requiredDaily, now }) => {
+  if (isCompleted) {
+    return 'completed';
+  }
+  if (!targetDate) {
+    return dailyVelocity > 0 ? 'on_track' : 'at_risk';
+  }
+  if (targetDate <= now || !requiredDaily) {
+    return 'at_risk';
+  }
+
+  const ratio = dailyVelocity / requiredDaily;
+  if (ratio >= 1) {
+    return 'on_track';
+  }
+  return ratio >= BEHIND_RATIO ? 'behind' : 'at_risk';
+};
+
+const buildGoalForecast = (goal, now = new Date()) => {
+  const remaining = Math.max(0, (goal.amount || 0) - (goal.savedAmount || 0));
+  const targetDate = goal.targetDate || null;
+  const dailyVelocity = calculateVelocity(goal, now);
+
+  const daysLeft = targetDate ? (targetDate - now) / DAY_IN_MS : null;
+  const requiredDaily = daysLeft && daysLeft > 0 ? remaining / daysLeft : null;
+
+  let projectedCompletionDate = null;
+  if (!remaining) {
+    projectedCompletionDate = now;
+  } else if (dailyVelocity > 0) {
+    projectedCompletionDate = new Date(now.getTime() + (remaining / dailyVelocity) * DAY_IN_MS);
+  }
+
+  return {
+    status: resolveStatus({ isCompleted: goal.isCompleted, targetDate, dailyVelocity, requiredDaily, now }),
+    averageWeeklyContribution: roundAmount(dailyVelocity * 7),
+    averageMonthlyContribution: roundAmount(dailyVelocity * DAYS_PER_MONTH),
+    projectedCompletionDate: goal.isCompleted ? null : projectedCompletionDate,
+    daysUntilTarget: daysLeft === null ? null : Math.ceil(daysLeft),
+    isOverdue: Boolean(targetDate && !goal.isCompleted && targetDate <= now),
+    requiredWeeklyAmount: requiredDaily === null ? null : roundAmount(requiredDaily * 7),
+    requiredMonthlyAmount: requiredDaily === null ? null : roundAmount(requiredDaily * DAYS_PER_MONTH),
+  };
+};
+
+module.exports = {
+  buildGoalForecast,
+};
@@ -0,0 +1,283 @@
+const Goal = require('../models/Goal');
+const AutoSaveRule = require('../models/AutoSaveRule');
+const { goalAccessFilter, getGoalRole, canContribute } = require('./goalAccess');
+const { DEFAULT_CURRENCY, createRateConverter } = require('./currency');
+const { captureGoal, recordGoalChange } = require('./audit');
+
+// Background callers have no request; their changes are logged without an actor.
+const SYSTEM_AUDIT_CONTEXT = { actor: null };
+
+const roundAmount = (value) => Number(value.toFixed(2));
+
+const calculateRuleAmount = (rule, transaction) => {
+  switch (rule.type) {
+    case 'round_up': {
+      const step = rule.roundTo || 10;
+      const roundedUp = Math.ceil(transaction.amount / step) * step;
+      return roundAmount(roundedUp - transaction.amount);
+    }
+    case 'percentage':
+      return roundAmount((transaction.amount * (rule.percentage || 0)) / 100);
+    case 'fixed':
+      return roundAmount(rule.amount || 0);
+    default:
+      return 0;
+  }
+};
+
+// Contributions keep the transaction's currency; when it differs from the goal's
+// currency the converted value is stored so goal totals stay in one currency.
+// Returns null when no exchange rate covers the pair.
+const convertForGoal = async (entry, goal, transaction, converter) => {
+  const currency = transaction.currency || DEFAULT_CURRENCY;
+  const goalCurrency = goal.currency || DEFAULT_CURRENCY;
+  if (currency === goalCurrency) {
+    return { ...entry, currency, convertedAmount: undefined };
+  }
+
+  const convertedAmount = await converter.convert(entry.amount, currency, goalCurrency, transaction.transaction_date);
+  if (convertedAmount === null) {
+    return null;
+  }
+  return { ...entry, currency, convertedAmount };
+};
+
+const ruleMatches = (rule, transaction) => {
+  if (!rule.isActive) {
+    return false;
+  }
+
+  const transactionType = transaction.type || 'debit';
+  if (rule.trigger !== 'any' && rule.trigger !== transactionType) {
+    return false;
+  }
+
+  if (rule.category && (transaction.category || '').toLowerCase() !== rule.category.toLowerCase()) {
+    return false;
+  }
+
+  return true;
+};
+
+const applyAutoSaveRules = async (transaction, auditContext = SYSTEM_AUDIT_CONTEXT) => {
+  const rules = await AutoSaveRule.find({ user: transaction.user, isActive: true });
+  const contributionsByGoal = new Map();
+
+  rules.forEach((rule) => {
+    if (!ruleMatches(rule, transaction)) {
+      return;
+    }
+
+    const amount = calculateRuleAmount(rule, transaction);
+    if (amount <= 0) {
+      return;
+    }
+
+    const goalId = String(rule.goal);
+    if (!contributionsByGoal.has(goalId)) {
+      contributionsByGoal.set(goalId, []);
+    }
+    contributionsByGoal.get(goalId).push({
+      amount,
+      note: `Auto-save: ${rule.name}`,
+      source: 'rule',
+      transaction: transaction._id,
+      rule: rule._id,
+      contributor: transaction.user,
+    });
+  });
+
+  if (!contributionsByGoal.size) {
+    return [];
+  }
+
+  const goals = await Goal.find({
+    _id: { $in: [...contributionsByGoal.keys()] },
+    ...goalAccessFilter(transaction.user),
+  });
+  const applied = [];
+  const converter = createRateConverter();
+
+  await Promise.all(
+    goals
+      .filter((goal) => canContribute(getGoalRole(goal, transaction.user)))
+      .map(async (goal) => {
+        const contributions = await Promise.all(
+          contributionsByGoal
+            .get(String(goal._id))
+            .map((entry) => convertForGoal(entry, goal, transaction, converter))
+        );
+        const convertible = contributions.filter(Boolean);
+        if (!convertible.length) {
+          return;
+        }
+
+        const before = captureGoal(goal);
+        convertible.forEach((entry) => {
+          goal.contributions.push(entry);
+          applied.push({ goal: goal._id, rule: entry.rule, amount: entry.amount, currency: entry.currency });
+        });
+        await goal.save();
+        await recordGoalChange(auditContext, goal, { before });
+      })
+  );
+
+  return applied;
+};
+
+const fundGoalFromTransaction = async (goal, transaction, auditContext = SYSTEM_AUDIT_CONTEXT) => {
+  const entry = await convertForGoal(
+    {
+      amount: transaction.amount,
+      note: `Funded from transaction: ${transaction.name}`,
+      source: 'transaction',
+      transaction: transaction._id,
+      contributor: transaction.user,
+    },
+    goal,
+    transaction,
+    createRateConverter()
+  );
+  if (!entry) {
+    return null;
+  }
+
+  const before = captureGoal(goal);
+  goal.contributions.push(entry);
+  await goal.save();
+  await recordGoalChange(auditContext, goal, { before });
+  return goal;
+};
+
+const syncLinkedContributions = async (transaction, auditContext = SYSTEM_AUDIT_CONTEXT) => {
+  const goals = await Goal.find({ 'contributions.transaction': transaction._id });
+  if (!goals.length) {
+    return;
+  }
+
+  const ruleIds = goals.flatMap((goal) =>
+    goal.contributions
+      .filter((entry) => entry.rule && String(entry.transaction) === String(transaction._id))
+      .map((entry) => entry.rule)
+  );
+  const rules = ruleIds.length ? await AutoSaveRule.find({ _id: { $in: ruleIds } }) : [];
+  const rulesById = new Map(rules.map((rule) => [String(rule._id), rule]));
+  const converter = createRateConverter();
+
+  await Promise.all(
+    goals.map(async (goal) => {
+      const before = captureGoal(goal);
+      const linked = goal.contributions.filter((entry) => String(entry.transaction) === String(transaction._id));
+
+      for (const entry of linked) {
+        let amount = transaction.amount;
+        if (entry.source === 'rule') {
+          const rule = rulesById.get(String(entry.rule));
+          if (!rule) {
+            continue;
+          }
+          amount = ruleMatches(rule, transaction) ? calculateRuleAmount(rule, transaction) : 0;
+        }
+
+        if (amount <= 0) {
+          entry.deleteOne();
+          continue;
+        }
+
+        // Without a rate for the new amount the previous contribution is left untouched.
+        const converted = await convertForGoal({ amount }, goal, transaction, converter);
+        if (converted) {
+          entry.amount = converted.amount;
+          entry.currency = converted.currency;
+          entry.convertedAmount = converted.convertedAmount;
+        }
+      }
+      await goal.save();
+      await recordGoalChange(auditContext, goal, { before });
+    })
+  );
+};
+
+// Lists the contributions linked to a transaction as { goal, contribution } pairs, the
+// shape removeLinkedContributions and restoreLinkedContributions take.
+const findLinkedContributions = async (transactionId) => {
+  const goals = await Goal.find({ 'contributions.transaction': transactionId });
+  return goals.flatMap((goal) =>
+    goal.contributions
+      .filter((entry) => String(entry.transaction) === String(transactionId))
+      .map((entry) => ({ goal: goal._id, contribution: entry.toObject() }))
+  );
+};
+
+const groupEntriesByGoal = (entries) => {
+  const entriesByGoal = new Map();
+  entries.forEach(({ goal, contribution }) => {
+    const goalId = String(goal);
+    if (!entriesByGoal.has(goalId)) {
+      entriesByGoal.set(goalId, []);
+    }
+    entriesByGoal.get(goalId).push(contribution);
+  });
+  return entriesByGoal;
+};
+
+// Takes the listed contributions off their goals when their transaction is trashed.
+const removeLinkedContributions = async (entries, auditContext = SYSTEM_AUDIT_CONTEXT) => {
+  const entriesByGoal = groupEntriesByGoal(entries);
+  if (!entriesByGoal.size) {
+    return;
+  }
+
+  const goals = await Goal.find({ _id: { $in: [...entriesByGoal.keys()] } });
+
+  await Promise.all(
+    goals.map(async (goal) => {
+      const before = captureGoal(goal);
+      const removedIds = new Set(entriesByGoal.get(String(goal._id)).map((contribution) => String(contribution._id)));
+      goal.contributions = goal.contributions.filter((entry) => !removedIds.has(String(entry._id)));
+      await goal.save();
+      await recordGoalChange(auditContext, goal, { before });
+    })
+  );
+};
+
+// Puts back contributions removed when a transaction was trashed. Goals that were
+// deleted in the meantime, or that already hold the entry, are skipped.
+const restoreLinkedContributions = async (entries, auditContext = SYSTEM_AUDIT_CONTEXT) => {
+  const entriesByGoal = groupEntriesByGoal(entries);
+  if (!entriesByGoal.size) {
+    return 0;
+  }
+
+  const goals = await Goal.find({ _id: { $in: [...entriesByGoal.keys()] } });
+  let restored = 0;
+
+  await Promise.all(
+    goals.map(async (goal) => {
+      const before = captureGoal(goal);
+      const missing = entriesByGoal
+        .get(String(goal._id))
+        .filter((contribution) => !goal.contributions.id(contribution._id));
+      if (!missing.length) {
+        return;
+      }
+
+      missing.forEach((contribution) => goal.contributions.push(contribution));
+      await goal.save();
+      await recordGoalChange(auditContext, goal, { before });
+      restored += missing.length;
+    })
+  );
+
+  return restored;
+};
+
+module.exports = {
+  calculateRuleAmount,
+  applyAutoSaveRules,
+  fundGoalFromTransaction,
+  syncLinkedContributions,
+  findLinkedContributions,
+  removeLinkedContributions,
+  restoreLinkedContributions,
+};
@@ -0,0 +1,134 @@
+const { buildGoalForecast } = require('./goalForecast');
+const { getGoalRole, calculateMemberTotals } = require('./goalAccess');
+const { normalizeCurrency, createRateConverter } = require('./currency');
+
+const allowedFields = [
+  'name',
+  'amount',
+  'currency',
+  'description',
+  'category',
+  'targetDate',
+  'isCompleted',
+  'notes',
+];
+
+const sanitizePayload = (payload) =>
+  allowedFields.reduce((acc, field) => {
+    if (typeof payload[field] !== 'undefined') {
+      acc[field] = payload[field];
+    }
+    return acc;
+  }, {});
+
+const normalizeAmount = (value) => {
+  const numeric = Number(value);
+  if (Number.isNaN(numeric)) {
+    return null;
+  }
+  return numeric;
+};
+
+const buildGoalResponse = (goal, userId, baseValues = {}) => ({
+  id: goal._id,
+  owner: goal.user,
+  role: getGoalRole(goal, userId),
+  name: goal.name,
+  amount: goal.amount,
+  currency: goal.currency,
+  savedAmount: goal.savedAmount,
+  remainingAmount: goal.remainingAmount,
+  ...baseValues,
+  description: goal.description,
+  category: goal.category,
+  targetDate: goal.targetDate,
+  isCompleted: goal.isCompleted,
+  progress: goal.progress,
+  deletedAt: goal.deletedAt || null,
+  version: goal.version,
+  notes: goal.notes,
+  tags: goal.tags,
+  contributions: goal.contributions,
+  members: goal.members,
+  memberTotals: calculateMemberTotals(goal),
+  forecast: buildGoalForecast(goal),
+  createdAt: goal.createdAt,
+  updatedAt: goal.updatedAt,
+});
+
+const buildGoalResponseForUser = async (goal, user, converter = createRateConverter()) => {
+  const baseCurrency = user.baseCurrency;
+  const goalCurrency = goal.currency || baseCurrency;
+  const [amountInBaseCurrency, savedAmountInBaseCurrency] = await Promise.all([
+    converter.convert(goal.amount || 0, goalCurrency, baseCurrency),
+    converter.convert(goal.savedAmount || 0, goalCurrency, baseCurrency),
+  ]);
+
+  return buildGoalResponse(goal, user._id, { baseCurrency, amountInBaseCurrency, savedAmountInBaseCurrency });
+};
+
+const validateGoalCurrency = (payload, goal) => {
+  if (typeof payload.currency === 'undefined') {
+    return null;
+  }
+
+  const currency = normalizeCurrency(payload.currency);
+  if (!currency) {
+    return 'Currency must be a 3-letter ISO code';
+  }
+
+  if (goal && goal.currency !== currency && goal.contributions.length) {
+    return 'Currency cannot be changed once contributions exist';
+  }
+
+  payload.currency = currency;
+  return null;
+};
+
+const applyGoalPayload = (goal, payload) => {
+  Object.entries(payload).forEach(([key, value]) => {
+    if (typeof value === 'string') {
+      goal[key] = value.trim();
+    } else if (key === 'amount') {
+      goal[key] = normalizeAmount(value);
+    } else {
+      goal[key] = value;
+    }
+  });
+  return goal;
+};
+
+// The checks createGoal and the update handlers run, for callers that apply a payload
+// outside those handlers. Pass the existing goal when updating.
+const normalizeGoalPayload = (payload, goal = null) => {
+  if (!goal && (!payload.name || typeof payload.amount === 'undefined')) {
+    return 'Name and amount are required';
+  }
+
+  if (typeof payload.name !== 'undefined' && (typeof payload.name !== 'string' || !payload.name.trim())) {
+    return 'Name cannot be empty';
+  }
+
+  if (typeof payload.amount !== 'undefined') {
+    const normalizedAmount = normalizeAmount(payload.amount);
+    if (normalizedAmount === null || normalizedAmount < 0) {
+      return 'Amount must be a non-negative number';
+    }
+    if (goal && normalizedAmount < goal.savedAmount) {
+      return 'Amount cannot be less than the total saved amount';
+    }
+    payload.amount = normalizedAmount;
+  }
+
+  return validateGoalCurrency(payload, goal);
+};
+
+module.exports = {
+  sanitizePayload,
+  normalizeAmount,
+  validateGoalCurrency,
+  normalizeGoalPayload,
+  applyGoalPayload,
+  buildGoalResponse,
+  buildGoalResponseForUser,
+};
@@ -0,0 +1,216 @@
+const { parseStatementDate, parseStatementAmount, cleanText } = require('./values');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+const MAPPABLE_FIELDS = [
+  'name',
+  'amount',
+  'debit',
+  'credit',
+  'type',
+  'category',
+  'transaction_date',
+  'note',
+  'payment_method',
+  'reference_id',
+];
+
+const HEADER_ALIASES = {
+  name: ['name', 'description', 'narration', 'particulars', 'details', 'merchant', 'payee', 'transaction details'],
+  amount: ['amount', 'transaction amount', 'amt', 'value'],
+  debit: ['debit', 'withdrawal', 'withdrawal amt', 'withdrawal amount', 'debit amount', 'dr'],
+  credit: ['credit', 'deposit', 'deposit amt', 'deposit amount', 'credit amount', 'cr'],
+  type: ['type', 'transaction type', 'dr/cr', 'cr/dr'],
+  category: ['category'],
+  transaction_date: ['date', 'transaction date', 'txn date', 'value date', 'posting date', 'transaction_date'],
+  note: ['note', 'notes', 'memo', 'remarks', 'comment'],
+  payment_method: ['payment method', 'payment_method', 'mode', 'method'],
+  reference_id: ['reference', 'reference id', 'reference_id', 'ref no', 'ref no.', 'chq/ref no', 'cheque no', 'utr', 'transaction id'],
+};
+
+const detectDelimiter = (firstLine) =>
+  DELIMITERS.reduce(
+    (best, delimiter) => {
+      const count = firstLine.split(delimiter).length - 1;
+      return count > best.count ? { delimiter, count } : best;
+    },
+    { delimiter: ',', count: 0 }
+  ).delimiter;
+
+const parseCsvRecords = (content, delimiter) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+
+    if (inQuotes) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field.length) {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') {
+        index += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((entry) => entry.some((value) => value.trim().length));
+};
+
+const detectMapping = (columns) => {
+  const normalized = columns.map((column) => column.trim().toLowerCase());
+
+  return Object.entries(HEADER_ALIASES).reduce((acc, [field, aliases]) => {
+    const index = normalized.findIndex((column) => aliases.includes(column));
+    if (index !== -1) {
+      acc[field] = columns[index];
+    }
+    return acc;
+  }, {});
+};
+
+const validateMapping = (mapping, columns) => {
+  const unknownField = Object.keys(mapping).find((field) => !MAPPABLE_FIELDS.includes(field));
+  if (unknownField) {
+    return `Unknown mapping field: ${unknownField}`;
+  }
+
+  const missingColumn = Object.values(mapping).find((column) => !columns.includes(column));
+  if (missingColumn) {
+    return `Mapped column not found in file: ${missingColumn}`;
+  }
+
+  if (!mapping.name || !mapping.transaction_date) {
+    return 'Mapping must include name and transaction_date columns';
+  }
+
+  if (!mapping.amount && !mapping.debit && !mapping.credit) {
+    return 'Mapping must include an amount column or debit/credit columns';
+  }
+
+  return null;
+};
+
+const resolveAmount = (values, mapping, defaultType) => {
+  if (mapping.debit || mapping.credit) {
+    const debit = mapping.debit ? parseStatementAmount(values[mapping.debit]) : null;
+    const credit = mapping.credit ? parseStatementAmount(values[mapping.credit]) : null;
+
+    if (debit) {
+      return { amount: Math.abs(debit), type: 'debit' };
+    }
+    if (credit) {
+      return { amount: Math.abs(credit), type: 'credit' };
+    }
+    if (!mapping.amount) {
+      return null;
+    }
+  }
+
+  const amount = parseStatementAmount(values[mapping.amount]);
+  if (amount === null) {
+    return null;
+  }
+
+  return { amount: Math.abs(amount), type: amount < 0 ? 'debit' : defaultType };
+};
+
+const normalizeTypeValue = (value) => {
+  const text = cleanText(value);
+  if (!text) {
+    return undefined;
+  }
+
+  const lowered = text.toLowerCase();
+  if (['dr', 'debit', 'withdrawal'].includes(lowered)) {
+    return 'debit';
+  }
+  if (['cr', 'credit', 'deposit'].includes(lowered)) {
+    return 'credit';
+  }
+  return lowered;
+};
+
+const parseCsvStatement = (content, { mapping, dateFormat, defaultType = 'debit', delimiter } = {}) => {
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const records = parseCsvRecords(content.replace(/^\uFEFF/, ''), delimiter || detectDelimiter(firstLine));
+
+  if (records.length < 2) {
+    return { error: 'CSV must contain a header row and at least one data row' };
+  }
+
+  const columns = records[0].map((column) => column.trim());
+  const resolvedMapping = mapping || detectMapping(columns);
+  const mappingError = validateMapping(resolvedMapping, columns);
+
+  if (mappingError) {
+    return { error: mappingError, columns, mapping: resolvedMapping };
+  }
+
+  const rows = records.slice(1).map((record, index) => {
+    const values = columns.reduce((acc, column, columnIndex) => {
+      acc[column] = record[columnIndex];
+      return acc;
+    }, {});
+
+    const errors = [];
+    const resolved = resolveAmount(values, resolvedMapping, defaultType);
+    if (!resolved) {
+      errors.push('Amount could not be parsed');
+    }
+
+    const transactionDate = parseStatementDate(values[resolvedMapping.transaction_date], dateFormat);
+    if (!transactionDate) {
+      errors.push('Date could not be parsed');
+    }
+
+    const explicitType = resolvedMapping.type ? normalizeTypeValue(values[resolvedMapping.type]) : undefined;
+
+    return {
+      row: index + 2,
+      errors,
+      payload: {
+        name: cleanText(values[resolvedMapping.name]),
+        amount: resolved ? resolved.amount : undefined,
+        type: explicitType || (resolved ? resolved.type : undefined),
+        transaction_date: transactionDate || undefined,
+        category: cleanText(values[resolvedMapping.category]),
+        note: cleanText(values[resolvedMapping.note]),
+        payment_method: cleanText(values[resolvedMapping.payment_method]),
+        reference_id: cleanText(values[resolvedMapping.reference_id]),
+      },
+    };
+  });
+
+  return { columns, mapping: resolvedMapping, rows };
+};
+
+module.exports = {
+  MAPPABLE_FIELDS,
+  parseCsvRecords,
+  parseCsvStatement,
+};
@@ -0,0 +1,34 @@
+const { DATE_FORMATS } = require('./values');
+const { parseCsvStatement } = require('./csv');
+const { parseOfxStatement } = require('./ofx');
+const { parseQifStatement } = require('./qif');
+
+const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+
+const parseStatement = (format, content, options = {}) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+  }
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'File content is required' };
+  }
+
+  if (options.dateFormat && !DATE_FORMATS.includes(options.dateFormat)) {
+    return { error: `date_format must be one of: ${DATE_FORMATS.join(', ')}` };
+  }
+
+  switch (format) {
+    case 'csv':
+      return parseCsvStatement(content, options);
+    case 'ofx':
+      return parseOfxStatement(content, options);
+    default:
+      return parseQifStatement(content, options);
+  }
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseStatement,
+};
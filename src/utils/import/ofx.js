@@ -0,0 +1,72 @@
+const { parseStatementAmount, cleanText } = require('./values');
+
+const TRANSACTION_BLOCK_PATTERN = /<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi;
+
+const TRANSFER_TYPES = ['XFER'];
+
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+const parseOfxDate = (value) => {
+  const match = typeof value === 'string' ? value.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map((part) => Number(part || 0));
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseOfxStatement = (content) => {
+  const blocks = [...content.matchAll(TRANSACTION_BLOCK_PATTERN)].map((match) => match[1]);
+
+  if (!blocks.length) {
+    return { error: 'No transactions found in OFX file' };
+  }
+
+  const rows = blocks.map((block, index) => {
+    const errors = [];
+    const amount = parseStatementAmount(readTag(block, 'TRNAMT'));
+    if (amount === null) {
+      errors.push('Amount could not be parsed');
+    }
+
+    const transactionDate = parseOfxDate(readTag(block, 'DTPOSTED'));
+    if (!transactionDate) {
+      errors.push('Date could not be parsed');
+    }
+
+    const trnType = (readTag(block, 'TRNTYPE') || '').toUpperCase();
+    let type;
+    if (TRANSFER_TYPES.includes(trnType)) {
+      type = 'transfer';
+    } else if (amount !== null) {
+      type = amount < 0 ? 'debit' : 'credit';
+    }
+
+    const name = cleanText(readTag(block, 'NAME')) || cleanText(readTag(block, 'PAYEE'));
+    const memo = cleanText(readTag(block, 'MEMO'));
+
+    return {
+      row: index + 1,
+      errors,
+      payload: {
+        name: name || memo,
+        amount: amount === null ? undefined : Math.abs(amount),
+        type,
+        transaction_date: transactionDate || undefined,
+        note: name ? memo : undefined,
+        reference_id: cleanText(readTag(block, 'FITID')) || cleanText(readTag(block, 'CHECKNUM')),
+      },
+    };
+  });
+
+  return { rows };
+};
+
+module.exports = {
+  parseOfxStatement,
+};
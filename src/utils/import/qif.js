@@ -0,0 +1,73 @@
+const { parseStatementDate, parseStatementAmount, cleanText } = require('./values');
+
+const parseQifRecords = (content) =>
+  content
+    .split(/^\^\s*$/m)
+    .map((chunk) =>
+      chunk
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line.length && !line.startsWith('!'))
+    )
+    .filter((lines) => lines.length);
+
+const parseQifStatement = (content, { dateFormat = 'MM/DD/YYYY' } = {}) => {
+  const records = parseQifRecords(content);
+
+  if (!records.length) {
+    return { error: 'No transactions found in QIF file' };
+  }
+
+  const rows = records.map((lines, index) => {
+    const fields = lines.reduce((acc, line) => {
+      const code = line[0];
+      if (typeof acc[code] === 'undefined') {
+        acc[code] = line.slice(1).trim();
+      }
+      return acc;
+    }, {});
+
+    const errors = [];
+    const amount = parseStatementAmount(fields.T || fields.U);
+    if (amount === null) {
+      errors.push('Amount could not be parsed');
+    }
+
+    const transactionDate = parseStatementDate(fields.D, dateFormat);
+    if (!transactionDate) {
+      errors.push('Date could not be parsed');
+    }
+
+    const payee = cleanText(fields.P);
+    const memo = cleanText(fields.M);
+    const category = cleanText(fields.L);
+    const isTransfer = Boolean(category && category.startsWith('['));
+
+    let type;
+    if (isTransfer) {
+      type = 'transfer';
+    } else if (amount !== null) {
+      type = amount < 0 ? 'debit' : 'credit';
+    }
+
+    return {
+      row: index + 1,
+      errors,
+      payload: {
+        name: payee || memo,
+        amount: amount === null ? undefined : Math.abs(amount),
+        type,
+        transaction_date: transactionDate || undefined,
+        category: isTransfer ? undefined : category,
+        note: payee ? memo : undefined,
+        reference_id: cleanText(fields.N),
+      },
+    };
+  });
+
+  return { rows };
+};
+
+module.exports = {
+  parseQifStatement,
+};
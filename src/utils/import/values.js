@@ -0,0 +1,81 @@
+const { parseDate } = require('../sms/extractors');
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+const NUMERIC_DATE_PATTERN = /^(\d{1,4})[-/.'](\d{1,2})[-/.'](\d{1,4})(?:[ T].*)?$/;
+
+const toFullYear = (year) => (year < 100 ? 2000 + year : year);
+
+const buildDate = (year, month, day) => {
+  const date = new Date(Date.UTC(toFullYear(year), month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+const parseStatementDate = (value, dateFormat = 'DD/MM/YYYY') => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  const numeric = trimmed.match(NUMERIC_DATE_PATTERN);
+
+  if (numeric) {
+    const [first, second, third] = numeric.slice(1, 4).map(Number);
+
+    if (numeric[1].length === 4 || dateFormat === 'YYYY-MM-DD') {
+      return buildDate(first, second, third);
+    }
+    if (dateFormat === 'MM/DD/YYYY') {
+      return buildDate(third, first, second);
+    }
+    return buildDate(third, second, first);
+  }
+
+  return parseDate(trimmed);
+};
+
+const parseStatementAmount = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  let text = value.trim();
+  let sign = 1;
+
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+
+  const marker = text.match(/\b(dr|cr)\.?$/i);
+  if (marker) {
+    sign = marker[1].toLowerCase() === 'dr' ? -1 : 1;
+    text = text.slice(0, marker.index);
+  }
+
+  const cleaned = text.replace(/(?:inr|rs\.?|usd|eur|gbp|[₹$€£])/gi, '').replace(/[,\s]/g, '');
+  if (!/^[-+]?\d*\.?\d+$/.test(cleaned)) {
+    return null;
+  }
+
+  return sign * Number(cleaned);
+};
+
+const cleanText = (value) => {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const trimmed = value.replace(/\s+/g, ' ').trim();
+  return trimmed.length ? trimmed : undefined;
+};
+
+module.exports = {
+  DATE_FORMATS,
+  parseStatementDate,
+  parseStatementAmount,
+  cleanText,
+};
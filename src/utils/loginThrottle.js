@@ -0,0 +1,55 @@
+const { getStore, setRetryAfter } = require('./rateLimit');
+const { parsePositiveNumber } = require('./common');
+
+const MINUTE_IN_MS = 60 * 1000;
+const LOCKOUT_THRESHOLD = parsePositiveNumber(process.env.LOGIN_LOCKOUT_THRESHOLD, 5);
+const LOCKOUT_BASE_MINUTES = parsePositiveNumber(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 1);
+const LOCKOUT_MAX_MINUTES = parsePositiveNumber(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 24 * 60);
+const FAILURE_WINDOW_MS = 24 * 60 * MINUTE_IN_MS;
+
+// Failures are keyed by the submitted email rather than the account, so unknown
+// addresses lock out exactly like real ones and reveal nothing.
+const failureKey = (email) => `login-failures:${String(email).trim().toLowerCase()}`;
+
+// Every further LOCKOUT_THRESHOLD failures doubles the lock, up to the maximum.
+const lockDurationMs = (failures) => {
+  if (failures < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+  const level = Math.floor(failures / LOCKOUT_THRESHOLD) - 1;
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** level, LOCKOUT_MAX_MINUTES) * MINUTE_IN_MS;
+};
+
+const lockedUntil = (entry) => {
+  if (!entry) {
+    return null;
+  }
+  const duration = lockDurationMs(entry.count);
+  if (!duration) {
+    return null;
+  }
+  const until = new Date(entry.updatedAt.getTime() + duration);
+  return until.getTime() > Date.now() ? until : null;
+};
+
+const getLoginLock = async (email) => lockedUntil(await getStore().get(failureKey(email)));
+
+const recordLoginFailure = async (email) =>
+  lockedUntil(await getStore().increment(failureKey(email), FAILURE_WINDOW_MS));
+
+const clearLoginFailures = async (email) => getStore().reset(failureKey(email));
+
+const respondLocked = (res, until) => {
+  setRetryAfter(res, until);
+  return res
+    .status(429)
+    .json({ message: 'Too many failed login attempts. Please try again later.', code: 'ACCOUNT_LOCKED' });
+};
+
+module.exports = {
+  lockDurationMs,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+  respondLocked,
+};
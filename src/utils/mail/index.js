@@ -0,0 +1,47 @@
+const { consoleTransport, createFileTransport } = require('./transports');
+const templates = require('./templates');
+
+const transports = {
+  console: consoleTransport,
+  file: createFileTransport(),
+};
+
+const registerTransport = (name, transport) => {
+  if (!name || !transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport requires a name and a send function');
+  }
+  transports[name] = transport;
+};
+
+// These only print or store messages locally, reset and verification links included.
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error('MAIL_TRANSPORT must name a registered delivery transport in production');
+  }
+
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Called at startup so a production server without a mail transport does not start.
+const ensureMailTransport = () => {
+  getTransport();
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'no-reply@goals.local';
+  await getTransport().send({ from, to, subject, text });
+};
+
+module.exports = {
+  registerTransport,
+  ensureMailTransport,
+  sendMail,
+  templates,
+};
@@ -0,0 +1,36 @@
+const buildLink = (pathname, token) => {
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const verificationEmail = (user, token, expiresInHours) => ({
+  to: user.email,
+  subject: 'Verify your email address',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Please confirm your email address by opening the link below:',
+    buildLink('/verify-email', token),
+    '',
+    `The link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`,
+  ].join('\n'),
+});
+
+const passwordResetEmail = (user, token, expiresInMinutes) => ({
+  to: user.email,
+  subject: 'Reset your password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'We received a request to reset your password. Open the link below to choose a new one:',
+    buildLink('/reset-password', token),
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not request a reset, you can ignore this email; your password will not change.',
+  ].join('\n'),
+});
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+};
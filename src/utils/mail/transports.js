@@ -0,0 +1,34 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const formatMessage = (message) =>
+  [
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    '',
+    message.text,
+    '',
+  ].join('\n');
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log(`[mail]\n${formatMessage(message)}`);
+  },
+};
+
+// Writes one .eml file per message so links can be opened from a local outbox.
+const createFileTransport = (directory = process.env.MAIL_OUTBOX_DIR || 'mail-outbox') => ({
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.eml`;
+    await fs.writeFile(path.join(directory, fileName), formatMessage(message), 'utf8');
+  },
+});
+
+module.exports = {
+  consoleTransport,
+  createFileTransport,
+};
@@ -0,0 +1,111 @@
+const Notification = require('../models/Notification');
+
+const isDuplicateKeyError = (error) =>
+  error &&
+  (error.code === 11000 ||
+    (Array.isArray(error.writeErrors) && error.writeErrors.every((entry) => entry.code === 11000)));
+
+const createNotifications = async (notifications) => {
+  if (!notifications.length) {
+    return;
+  }
+
+  try {
+    await Notification.insertMany(notifications, { ordered: false });
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+  }
+};
+
+const notifySafely = (notifications) =>
+  createNotifications(notifications).catch((error) => {
+    console.error('Create notifications error:', error);
+  });
+
+const getGoalParticipantIds = (goal) => [goal.user, ...(goal.members || []).map((member) => member.user)];
+
+const buildGoalMilestoneNotifications = (goal, milestones) =>
+  getGoalParticipantIds(goal).flatMap((userId) =>
+    milestones.map((milestone) =>
+      milestone === 100
+        ? {
+            user: userId,
+            type: 'goal_completed',
+            title: `${goal.name} is complete`,
+            message: `You reached your target of ${goal.amount}.`,
+            data: { goal: goal._id },
+            dedupeKey: `goal:${goal._id}:completed`,
+          }
+        : {
+            user: userId,
+            type: 'goal_milestone',
+            title: `${goal.name} is ${milestone}% funded`,
+            message: `You have saved ${goal.savedAmount} of ${goal.amount}.`,
+            data: { goal: goal._id, milestone },
+            dedupeKey: `goal:${goal._id}:milestone:${milestone}`,
+          }
+    )
+  );
+
+const buildGoalTargetNotifications = (goal, type) => {
+  const targetDay = goal.targetDate.toISOString().slice(0, 10);
+  const approaching = type === 'goal_target_approaching';
+
+  return getGoalParticipantIds(goal).map((userId) => ({
+    user: userId,
+    type,
+    title: approaching ? `${goal.name} is due soon` : `${goal.name} missed its target date`,
+    message: approaching
+      ? `${goal.remainingAmount} left to save before ${targetDay}.`
+      : `The target date ${targetDay} passed with ${goal.remainingAmount} still to save.`,
+    data: { goal: goal._id, targetDate: goal.targetDate },
+    dedupeKey: `goal:${goal._id}:${type}:${targetDay}`,
+  }));
+};
+
+const buildGoalInvitationNotification = (userId, goal, invitation) => ({
+  user: userId,
+  type: 'goal_invitation',
+  title: `You were invited to ${goal.name}`,
+  message: `Join as a ${invitation.role} to save toward this goal together.`,
+  data: { goal: goal._id, invitation: invitation._id },
+  dedupeKey: `goal_invitation:${invitation._id}`,
+});
+
+const buildBudgetNotification = (userId, status) => {
+  const exceeded = status.status === 'exceeded';
+
+  return {
+    user: userId,
+    type: exceeded ? 'budget_exceeded' : 'budget_warning',
+    title: exceeded
+      ? `${status.budget.category} budget exceeded`
+      : `${status.budget.category} budget at ${Math.floor(status.percentUsed)}%`,
+    message: `Spent ${status.spent} of ${status.available} for ${status.period}.`,
+    data: { budget: status.budget.id, period: status.period, percentUsed: status.percentUsed },
+    dedupeKey: `budget:${status.budget.id}:${status.period}:${status.status}`,
+  };
+};
+
+const buildCategoryRuleSuggestion = (rule) => ({
+  user: rule.user,
+  type: 'category_rule_suggested',
+  title: `Always file ${rule.match.name} under ${rule.category}?`,
+  message:
+    `You moved ${rule.match.name} to ${rule.category} ${rule.occurrences} times. ` +
+    'Accept the suggested rule to do it automatically.',
+  data: { rule: rule._id },
+  dedupeKey: `category_rule:${rule._id}:suggested`,
+});
+
+module.exports = {
+  createNotifications,
+  notifySafely,
+  buildGoalMilestoneNotifications,
+  buildGoalTargetNotifications,
+  buildGoalInvitationNotification,
+  buildBudgetNotification,
+  buildCategoryRuleSuggestion,
+};
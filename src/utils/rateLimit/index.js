@@ -0,0 +1,69 @@
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let defaultStore = null;
+
+const registerStore = (name, factory) => {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('Rate limit store requires a name and a factory function');
+  }
+  storeFactories[name] = factory;
+};
+
+const getStore = () => {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    defaultStore = factory();
+  }
+  return defaultStore;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const setRetryAfter = (res, date) => {
+  res.set('Retry-After', String(secondsUntil(date)));
+};
+
+const createRateLimiter = ({ name, windowMs, max, keyGenerator = (req) => req.ip, store }) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const limiterStore = store || getStore();
+      const entry = await limiterStore.increment(`${name}:${keyGenerator(req)}`, windowMs);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+      res.set('RateLimit-Reset', String(secondsUntil(entry.resetAt)));
+
+      if (entry.count > max) {
+        setRetryAfter(res, entry.resetAt);
+        return res.status(429).json({ message: 'Too many requests. Please try again later.' });
+      }
+
+      return next();
+    } catch (error) {
+      // A failing store should not take authentication down with it.
+      console.error('Rate limit error:', error);
+      return next();
+    }
+  };
+
+  // Exposed so the API docs can list the 429 response.
+  middleware.rateLimit = { name, windowMs, max };
+  return middleware;
+};
+
+module.exports = {
+  registerStore,
+  getStore,
+  setRetryAfter,
+  createRateLimiter,
+};
@@ -0,0 +1,42 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counters live in this process only; use the Mongo store when running several instances.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt.getTime() <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  const get = async (key) => {
+    const entry = counters.get(key);
+    if (!entry || entry.resetAt.getTime() <= Date.now()) {
+      return null;
+    }
+    return { ...entry };
+  };
+
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const current = await get(key);
+    const entry = current
+      ? { count: current.count + 1, resetAt: current.resetAt, updatedAt: now }
+      : { count: 1, resetAt: new Date(now.getTime() + windowMs), updatedAt: now };
+    counters.set(key, entry);
+    return { ...entry };
+  };
+
+  const reset = async (key) => {
+    counters.delete(key);
+  };
+
+  return { get, increment, reset };
+};
+
+module.exports = createMemoryStore;
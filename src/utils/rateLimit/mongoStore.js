@@ -0,0 +1,40 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+const toEntry = (doc) => (doc ? { count: doc.count, resetAt: doc.resetAt, updatedAt: doc.updatedAt } : null);
+
+const createMongoStore = () => {
+  const get = async (key) => {
+    const doc = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+    return toEntry(doc);
+  };
+
+  // A single pipeline update keeps the increment atomic across instances and starts a
+  // fresh window once the previous one has lapsed.
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const windowActive = { $gt: ['$resetAt', now] };
+
+    const doc = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [windowActive, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [windowActive, '$resetAt', new Date(now.getTime() + windowMs)] },
+            updatedAt: now,
+          },
+        },
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+    return toEntry(doc);
+  };
+
+  const reset = async (key) => {
+    await RateLimitCounter.deleteOne({ key });
+  };
+
+  return { get, increment, reset };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,157 @@
+const { DAY_IN_MS } = require('./common');
+
+const MIN_OCCURRENCES = 3;
+const AMOUNT_TOLERANCE = 0.1;
+const MIN_MATCHING_GAP_RATIO = 0.75;
+
+const INTERVALS = [
+  { name: 'weekly', days: 7, tolerance: 2 },
+  { name: 'monthly', days: 30, tolerance: 4 },
+  { name: 'quarterly', days: 91, tolerance: 8 },
+  { name: 'yearly', days: 365, tolerance: 15 },
+];
+
+const normalizeMerchantKey = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+const addInterval = (date, interval) => {
+  switch (interval) {
+    case 'weekly':
+      return new Date(date.getTime() + 7 * DAY_IN_MS);
+    case 'monthly':
+      return addMonths(date, 1);
+    case 'quarterly':
+      return addMonths(date, 3);
+    case 'yearly':
+      return addMonths(date, 12);
+    default:
+      return null;
+  }
+};
+
+const getNextDueDate = (lastChargedAt, interval, now = new Date()) => {
+  let next = addInterval(lastChargedAt, interval);
+  while (next && next < now) {
+    next = addInterval(next, interval);
+  }
+  return next;
+};
+
+const clusterByAmount = (transactions) => {
+  const sorted = [...transactions].sort((a, b) => a.amount - b.amount);
+  const clusters = [];
+
+  sorted.forEach((transaction) => {
+    const current = clusters[clusters.length - 1];
+    if (current && transaction.amount <= current[0].amount * (1 + AMOUNT_TOLERANCE)) {
+      current.push(transaction);
+    } else {
+      clusters.push([transaction]);
+    }
+  });
+
+  return clusters;
+};
+
+const matchInterval = (dates) => {
+  const gaps = dates.slice(1).map((date, index) => (date - dates[index]) / DAY_IN_MS);
+  const typicalGap = median(gaps);
+  const interval = INTERVALS.find(({ days, tolerance }) => Math.abs(typicalGap - days) <= tolerance);
+
+  if (!interval) {
+    return null;
+  }
+
+  const matching = gaps.filter((gap) => Math.abs(gap - interval.days) <= interval.tolerance).length;
+  const ratio = matching / gaps.length;
+
+  return ratio >= MIN_MATCHING_GAP_RATIO ? { interval: interval.name, ratio } : null;
+};
+
+// Series are stored once per merchant and interval. When several amount clusters of a
+// merchant repeat on the same interval, the one charged most often (then most recently)
+// is kept.
+const isStrongerSeries = (candidate, current) =>
+  !current ||
+  candidate.occurrences > current.occurrences ||
+  (candidate.occurrences === current.occurrences && candidate.lastChargedAt > current.lastChargedAt);
+
+const detectRecurringSeries = (transactions, { now = new Date() } = {}) => {
+  const byMerchant = transactions.reduce((acc, transaction) => {
+    const key = normalizeMerchantKey(transaction.name);
+    if (key) {
+      if (!acc.has(key)) {
+        acc.set(key, []);
+      }
+      acc.get(key).push(transaction);
+    }
+    return acc;
+  }, new Map());
+
+  const detected = new Map();
+
+  byMerchant.forEach((merchantTransactions, merchantKey) => {
+    clusterByAmount(merchantTransactions).forEach((cluster) => {
+      if (cluster.length < MIN_OCCURRENCES) {
+        return;
+      }
+
+      const ordered = [...cluster].sort((a, b) => a.transaction_date - b.transaction_date);
+      const match = matchInterval(ordered.map((transaction) => transaction.transaction_date.getTime()));
+      if (!match) {
+        return;
+      }
+
+      const last = ordered[ordered.length - 1];
+      const occurrenceBonus = Math.min(1, ordered.length / 6);
+
+      const series = {
+        merchantKey,
+        name: last.name,
+        amount: Number(median(ordered.map((transaction) => transaction.amount)).toFixed(2)),
+        interval: match.interval,
+        category: last.category,
+        payment_method: last.payment_method,
+        confidence: Number((match.ratio * 0.7 + occurrenceBonus * 0.3).toFixed(2)),
+        occurrences: ordered.length,
+        firstChargedAt: ordered[0].transaction_date,
+        lastChargedAt: last.transaction_date,
+        nextDueDate: getNextDueDate(last.transaction_date, match.interval, now),
+        transactions: ordered.map((transaction) => transaction._id),
+      };
+
+      const key = `${merchantKey}:${match.interval}`;
+      if (isStrongerSeries(series, detected.get(key))) {
+        detected.set(key, series);
+      }
+    });
+  });
+
+  return [...detected.values()];
+};
+
+module.exports = {
+  normalizeMerchantKey,
+  getNextDueDate,
+  detectRecurringSeries,
+};
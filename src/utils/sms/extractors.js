@@ -0,0 +1,159 @@
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const AMOUNT_PATTERN = /(?:rs\.?|inr|₹)\s*([\d,]+(?:\.\d{1,2})?)/i;
+
+const DEBIT_PATTERN = /\b(debited|spent|paid|sent|withdrawn|purchase|dr)\b/i;
+const CREDIT_PATTERN = /\b(credited|received|deposited|refund(?:ed)?|cr)\b/i;
+
+const PAYMENT_METHOD_PATTERNS = [
+  { method: 'UPI', pattern: /\b(upi|vpa)\b/i },
+  { method: 'NEFT', pattern: /\bneft\b/i },
+  { method: 'IMPS', pattern: /\bimps\b/i },
+  { method: 'RTGS', pattern: /\brtgs\b/i },
+  { method: 'ATM', pattern: /\batm\b/i },
+  { method: 'CARD', pattern: /\b(card|pos)\b/i },
+];
+
+const REFERENCE_PATTERN =
+  /\b(?:upi\s*ref(?:erence)?(?:\s*no)?|ref(?:erence)?(?:\s*(?:no|number|#))?|utr(?:\s*no)?|txn\s*(?:id|no)|upi)[\s.:#-]*(?=[a-z0-9]*\d)([a-z0-9]{6,})/i;
+
+const MERCHANT_STOP = String.raw`(?=\s+(?:on|via|ref|refno|using|from|thru|through|for|upi|avl|avbl|dated|info|is|has|was|not)\b|\s*[;,(]|\.(?:\s|$)|\s*$)`;
+
+const VPA_PATTERN = /\bvpa\s+([a-z0-9._-]+@[a-z0-9.-]+)/i;
+const INFO_PATTERN = /\binfo[:\s-]+([a-z0-9@&.'_ -]+?)(?=\s*[;,(]|\.(?:\s|$)|\s*$)/i;
+const PAYEE_PATTERN = new RegExp(String.raw`\b(?:at|to|trf to|towards)\s+([a-z0-9@&.'_ -]+?)${MERCHANT_STOP}`, 'i');
+// "debited by Rs.100" and "by NEFT from ACME" name the amount or the rail, not the payer.
+const NOT_A_PARTY = String.raw`(?!(?:rs\.?|inr|₹)\s*\d|(?:neft|imps|rtgs|upi|nach|ecs|cheque|chq|cash|transfer)\b)`;
+const PAYER_PATTERN = new RegExp(
+  String.raw`\b(?:from|by)\s+${NOT_A_PARTY}([a-z0-9@&.'_ -]+?)${MERCHANT_STOP}`,
+  'i'
+);
+
+const NON_MERCHANT_PATTERN = /^(?:your|ur|a\/?c|ac|acct|account|card|bank|mobile|the|date)\b|^[x*]+\d+$|^[\d.,\s]+$/i;
+
+const NUMERIC_DATE_PATTERN = /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/;
+const ISO_DATE_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})/;
+const NAMED_MONTH_DATE_PATTERN = /\b(\d{1,2})[-\s]?([a-z]{3})[a-z]*[-\s,]*(\d{2,4})\b/i;
+
+const parseAmount = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const numeric = Number(value.replace(/,/g, ''));
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+};
+
+const toFullYear = (year) => {
+  const numeric = Number(year);
+  return year.length === 2 ? 2000 + numeric : numeric;
+};
+
+const buildDate = (year, monthIndex, day) => {
+  if (monthIndex < 0 || monthIndex > 11 || day < 1 || day > 31) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  return date.getUTCDate() === day ? date : null;
+};
+
+const parseDate = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const iso = value.match(ISO_DATE_PATTERN);
+  if (iso) {
+    return buildDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  }
+
+  const numeric = value.match(NUMERIC_DATE_PATTERN);
+  if (numeric) {
+    return buildDate(toFullYear(numeric[3]), Number(numeric[2]) - 1, Number(numeric[1]));
+  }
+
+  const named = value.match(NAMED_MONTH_DATE_PATTERN);
+  if (named) {
+    const monthIndex = MONTHS.indexOf(named[2].toLowerCase());
+    if (monthIndex !== -1) {
+      return buildDate(toFullYear(named[3]), monthIndex, Number(named[1]));
+    }
+  }
+
+  return null;
+};
+
+const cleanMerchant = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const cleaned = value.replace(/\s+/g, ' ').replace(/[\s.'_-]+$/, '').trim();
+  if (cleaned.length < 2 || NON_MERCHANT_PATTERN.test(cleaned)) {
+    return null;
+  }
+
+  return cleaned;
+};
+
+const extractAmount = (body) => {
+  const match = body.match(AMOUNT_PATTERN);
+  return match ? parseAmount(match[1]) : null;
+};
+
+const extractDirection = (body) => {
+  const debit = body.match(DEBIT_PATTERN);
+  const credit = body.match(CREDIT_PATTERN);
+
+  if (debit && credit) {
+    return debit.index <= credit.index ? 'debit' : 'credit';
+  }
+  if (debit) {
+    return 'debit';
+  }
+  if (credit) {
+    return 'credit';
+  }
+  return null;
+};
+
+const extractPaymentMethod = (body) => {
+  const entry = PAYMENT_METHOD_PATTERNS.find(({ pattern }) => pattern.test(body));
+  return entry ? entry.method : null;
+};
+
+const extractReference = (body) => {
+  const match = body.match(REFERENCE_PATTERN);
+  return match ? match[1].toUpperCase() : null;
+};
+
+const extractMerchant = (body, direction) => {
+  const patterns =
+    direction === 'credit'
+      ? [VPA_PATTERN, INFO_PATTERN, PAYER_PATTERN, PAYEE_PATTERN]
+      : [VPA_PATTERN, INFO_PATTERN, PAYEE_PATTERN, PAYER_PATTERN];
+
+  for (const pattern of patterns) {
+    const match = body.match(pattern);
+    const merchant = match ? cleanMerchant(match[1]) : null;
+    if (merchant) {
+      return merchant;
+    }
+  }
+  return null;
+};
+
+const extractDate = (body) => parseDate(body);
+
+module.exports = {
+  parseAmount,
+  parseDate,
+  cleanMerchant,
+  extractAmount,
+  extractDirection,
+  extractPaymentMethod,
+  extractReference,
+  extractMerchant,
+  extractDate,
+};
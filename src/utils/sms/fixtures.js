@@ -0,0 +1,41 @@
+// Sample messages with the fields parseSms must extract from them. Add the message
+// whenever a parsing bug is fixed; `npm run check:sms` runs them all.
+module.exports = [
+  {
+    description: 'HDFC UPI debit template',
+    sender: 'VM-HDFCBK',
+    body: 'Sent Rs.500.00 From HDFC Bank A/C x1234 To SWIGGY On 05/03/24 Ref 412345678901',
+    expected: { template: 'hdfc', amount: 500, direction: 'debit', merchant: 'SWIGGY', reference_id: '412345678901' },
+  },
+  {
+    description: 'ICICI UPI debit template',
+    sender: 'ICICIB',
+    body: 'Acct XX123 debited for Rs 240.00 on 05-Mar-24; ZOMATO credited. UPI:412345678901',
+    expected: { template: 'icici', amount: 240, direction: 'debit', merchant: 'ZOMATO', payment_method: 'UPI' },
+  },
+  {
+    description: 'Generic card spend',
+    body: 'Rs.350 spent on your card XX4321 at AMAZON on 2024-03-06',
+    expected: { template: 'generic', amount: 350, direction: 'debit', merchant: 'AMAZON', payment_method: 'CARD' },
+  },
+  {
+    description: '"debited by" followed by the amount names no payer',
+    body: 'Your A/c XX1234 is debited by Rs.100 on 05-03-24. UPI Ref 412345678901',
+    expected: { amount: 100, direction: 'debit', merchant: null, reference_id: '412345678901' },
+  },
+  {
+    description: '"by" followed by the payment rail skips to the payer',
+    body: 'INR 25,000.00 credited to A/c XX9876 by NEFT from ACME CORP on 12-Mar-24. Ref NEFTN24072123456',
+    expected: { amount: 25000, direction: 'credit', merchant: 'ACME CORP', payment_method: 'NEFT' },
+  },
+  {
+    description: '"by" naming the payer',
+    body: 'Rs 500 credited to your a/c XX1111 by JOHN DOE on 01/02/2024',
+    expected: { amount: 500, direction: 'credit', merchant: 'JOHN DOE' },
+  },
+  {
+    description: 'Credit from a person via UPI',
+    body: 'Rs. 1,200 received from Priya Sharma via UPI',
+    expected: { amount: 1200, direction: 'credit', merchant: 'Priya Sharma', payment_method: 'UPI' },
+  },
+];
@@ -0,0 +1,119 @@
+const defaultTemplates = require('./templates');
+const {
+  parseAmount,
+  parseDate,
+  cleanMerchant,
+  extractAmount,
+  extractDirection,
+  extractPaymentMethod,
+  extractReference,
+  extractMerchant,
+  extractDate,
+} = require('./extractors');
+
+const NON_TRANSACTIONAL_PATTERN =
+  /\b(otp|one[- ]time password|verification code|will be debited|is due|due date|minimum amount due|collect request|has requested|pre-approved)\b/i;
+const FAILED_PATTERN = /\b(declined|failed|unsuccessful|reversed)\b/i;
+
+const templates = [...defaultTemplates];
+
+const registerTemplate = (template) => {
+  if (!template || !template.id || !Array.isArray(template.patterns)) {
+    throw new Error('SMS template requires an id and a patterns array');
+  }
+
+  const existingIndex = templates.findIndex((entry) => entry.id === template.id);
+  if (existingIndex !== -1) {
+    templates.splice(existingIndex, 1, template);
+  } else {
+    templates.push(template);
+  }
+};
+
+const getTemplates = () => templates.slice();
+
+const failure = (reason, message) => ({ ok: false, reason, message });
+
+const selectTemplates = (sender) => {
+  if (!sender) {
+    return templates;
+  }
+
+  const matching = templates.filter((template) => template.senders && template.senders.test(sender));
+  return matching.length ? matching : templates;
+};
+
+const matchTemplate = (body, candidates) => {
+  for (const template of candidates) {
+    for (const entry of template.patterns) {
+      const match = body.match(entry.regex);
+      if (match) {
+        const groups = match.groups || {};
+        return {
+          template,
+          fields: {
+            amount: parseAmount(groups.amount),
+            direction: entry.direction || null,
+            merchant: cleanMerchant(groups.merchant),
+            payment_method: groups.payment_method ? groups.payment_method.toUpperCase() : entry.payment_method || null,
+            reference_id: groups.reference ? groups.reference.toUpperCase() : null,
+            transaction_date: parseDate(groups.date),
+          },
+        };
+      }
+    }
+  }
+  return null;
+};
+
+const parseSms = (body, { sender, receivedAt } = {}) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return failure('EMPTY_BODY', 'SMS body is required');
+  }
+
+  const text = body.replace(/\s+/g, ' ').trim();
+
+  if (NON_TRANSACTIONAL_PATTERN.test(text)) {
+    return failure('NOT_TRANSACTIONAL', 'SMS does not describe a completed transaction');
+  }
+
+  if (FAILED_PATTERN.test(text)) {
+    return failure('FAILED_TRANSACTION', 'SMS describes a failed or reversed transaction');
+  }
+
+  const matched = matchTemplate(text, selectTemplates(sender));
+  const fields = matched ? matched.fields : {};
+
+  const amount = fields.amount || extractAmount(text);
+  if (!amount) {
+    return failure('AMOUNT_NOT_FOUND', 'Could not find a transaction amount in the SMS');
+  }
+
+  const direction = fields.direction || extractDirection(text);
+  if (!direction) {
+    return failure('DIRECTION_NOT_FOUND', 'Could not tell whether the SMS is a debit or a credit');
+  }
+
+  const fallbackDate = receivedAt ? new Date(receivedAt) : new Date();
+
+  return {
+    ok: true,
+    template: matched ? matched.template.id : 'generic',
+    bank: matched ? matched.template.bank : null,
+    amount,
+    direction,
+    merchant: fields.merchant || extractMerchant(text, direction),
+    payment_method: fields.payment_method || extractPaymentMethod(text),
+    reference_id: fields.reference_id || extractReference(text),
+    transaction_date:
+      fields.transaction_date ||
+      extractDate(text) ||
+      (Number.isNaN(fallbackDate.getTime()) ? new Date() : fallbackDate),
+  };
+};
+
+module.exports = {
+  parseSms,
+  registerTemplate,
+  getTemplates,
+};
@@ -0,0 +1,99 @@
+const AMOUNT = String.raw`(?<amount>[\d,]+(?:\.\d{1,2})?)`;
+const ACCOUNT = String.raw`[x*]*\d+`;
+
+const pattern = (source) => new RegExp(source, 'i');
+
+const bankTemplates = [
+  {
+    id: 'hdfc',
+    bank: 'HDFC Bank',
+    senders: /HDFCBK|HDFCBN/i,
+    patterns: [
+      {
+        regex: pattern(
+          String.raw`sent\s+rs\.?\s*${AMOUNT}\s+from\s+hdfc bank a\/c\s*${ACCOUNT}\s+to\s+(?<merchant>.+?)\s+on\s+(?<date>\d{1,2}\/\d{1,2}\/\d{2,4})\s+ref\s+(?<reference>\d+)`
+        ),
+        direction: 'debit',
+        payment_method: 'UPI',
+      },
+      {
+        regex: pattern(
+          String.raw`rs\.?\s*${AMOUNT}\s+(?:spent|debited)\s+(?:from|on|via)\s+hdfc bank (?:credit |debit )?card\s+${ACCOUNT}\s+at\s+(?<merchant>.+?)\s+on\s+(?<date>\d{4}-\d{2}-\d{2}|\d{1,2}[-/]\d{1,2}[-/]\d{2,4})`
+        ),
+        direction: 'debit',
+        payment_method: 'CARD',
+      },
+      {
+        regex: pattern(
+          String.raw`money received\s*-\s*inr\s*${AMOUNT}\s+in your hdfc bank a\/c\s*${ACCOUNT}\s+on\s+(?<date>\d{1,2}-\d{1,2}-\d{2,4})\s+by a\/c linked to vpa\s+(?<merchant>\S+)\s+\(upi ref no\.?\s*(?<reference>\d+)\)`
+        ),
+        direction: 'credit',
+        payment_method: 'UPI',
+      },
+    ],
+  },
+  {
+    id: 'icici',
+    bank: 'ICICI Bank',
+    senders: /ICICIB|ICICIT/i,
+    patterns: [
+      {
+        regex: pattern(
+          String.raw`acct\s+${ACCOUNT}\s+debited\s+for\s+rs\.?\s*${AMOUNT}\s+on\s+(?<date>\d{1,2}-[a-z]{3}-\d{2,4});\s*(?<merchant>.+?)\s+credited\.\s*upi:(?<reference>\d+)`
+        ),
+        direction: 'debit',
+        payment_method: 'UPI',
+      },
+      {
+        regex: pattern(
+          String.raw`acct\s+${ACCOUNT}\s+is\s+credited\s+with\s+rs\.?\s*${AMOUNT}\s+on\s+(?<date>\d{1,2}-[a-z]{3}-\d{2,4})\s+from\s+(?<merchant>.+?)\.\s*upi:(?<reference>\d+)`
+        ),
+        direction: 'credit',
+        payment_method: 'UPI',
+      },
+    ],
+  },
+  {
+    id: 'sbi',
+    bank: 'State Bank of India',
+    senders: /SBIINB|SBIUPI|ATMSBI|CBSSBI|SBIPSG/i,
+    patterns: [
+      {
+        regex: pattern(
+          String.raw`a\/c\s*${ACCOUNT}\s+debited\s+by\s+${AMOUNT}\s+on\s+date\s+(?<date>\d{1,2}[a-z]{3}\d{2,4})\s+trf\s+to\s+(?<merchant>.+?)\s+refno\s+(?<reference>\d+)`
+        ),
+        direction: 'debit',
+        payment_method: 'UPI',
+      },
+      {
+        regex: pattern(
+          String.raw`a\/c\s*${ACCOUNT}\s+credited\s+by\s+rs\.?\s*${AMOUNT}\s+on\s+(?<date>\d{1,2}[a-z]{3}\d{2,4})\s+(?:transfer\s+)?from\s+(?<merchant>.+?)\s+ref\s*no\s+(?<reference>\d+)`
+        ),
+        direction: 'credit',
+        payment_method: 'UPI',
+      },
+    ],
+  },
+  {
+    id: 'axis',
+    bank: 'Axis Bank',
+    senders: /AXISBK/i,
+    patterns: [
+      {
+        regex: pattern(
+          String.raw`inr\s*${AMOUNT}\s+debited\s+a\/c\s+no\.\s*${ACCOUNT}\s+(?<date>\d{1,2}-\d{1,2}-\d{2,4})\s+[\d:]+\s+upi\/p2[am]\/(?<reference>\d+)\/(?<merchant>.+?)\s+not you`
+        ),
+        direction: 'debit',
+        payment_method: 'UPI',
+      },
+      {
+        regex: pattern(
+          String.raw`inr\s*${AMOUNT}\s+credited\s+a\/c\s+no\.\s*${ACCOUNT}\s+(?<date>\d{1,2}-\d{1,2}-\d{2,4})\s+[\d:]+\s+(?<payment_method>neft|imps|rtgs)\/(?<reference>[a-z0-9]+)\/(?<merchant>[^/]+)`
+        ),
+        direction: 'credit',
+      },
+    ],
+  },
+];
+
+module.exports = bankTemplates;
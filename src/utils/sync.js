@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const Transaction = require('../models/Transaction');
+const { goalAccessFilter } = require('./goalAccess');
+const { buildGoalResponseForUser } = require('./goalPayload');
+const { buildTransactionResponse } = require('./transactionPayload');
+const { createRateConverter } = require('./currency');
+const { getPurgeCutoff } = require('./trash');
+const { parsePositiveNumber } = require('./common');
+
+const SYNC_PAGE_SIZE = parsePositiveNumber(process.env.SYNC_PAGE_SIZE, 500);
+// updatedAt comes from the clock of whichever server saved the document, and a save that
+// started before a pull can commit after it. Caught-up cursors therefore restart a little
+// before the pull began, and clients may see the same version twice.
+const SYNC_OVERLAP_MS = 5000;
+
+const ENTITIES = {
+  goals: {
+    Model: Goal,
+    scope: (user) => goalAccessFilter(user._id),
+  },
+  transactions: {
+    Model: Transaction,
+    scope: (user) => ({ user: user._id }),
+  },
+};
+
+// The cursor records, per entity, the last document sent (`ts` + `id`) or `done` once the
+// entity has no more pages. While a pull spans several pages it also carries `since`, when
+// the first page was served. `full` marks a first download, which skips tombstones.
+const encodeSyncCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parsePosition = (position) => {
+  if (!position || typeof position !== 'object') {
+    return null;
+  }
+  if (position.done) {
+    return { done: true };
+  }
+
+  const ts = parseDate(position.ts);
+  if (!ts || (position.id && !mongoose.Types.ObjectId.isValid(position.id))) {
+    return null;
+  }
+  return { ts, id: position.id ? new mongoose.Types.ObjectId(position.id) : null };
+};
+
+const decodeSyncCursor = (value) => {
+  try {
+    const raw = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const since = raw.since ? parseDate(raw.since) : null;
+    if (raw.since && !since) {
+      return null;
+    }
+
+    const cursor = { since, full: Boolean(raw.full) };
+    for (const name of Object.keys(ENTITIES)) {
+      cursor[name] = parsePosition(raw[name]);
+      if (!cursor[name]) {
+        return null;
+      }
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+};
+
+const startFullSync = () => ({
+  since: null,
+  full: true,
+  ...Object.fromEntries(Object.keys(ENTITIES).map((name) => [name, null])),
+});
+
+// Tombstones are purged with the trash, so a client that has been away longer than the
+// retention period may have missed deletions and has to download everything again.
+const isStale = (cursor, now) => {
+  if (cursor.full) {
+    return false;
+  }
+  const cutoff = getPurgeCutoff(now);
+  return Object.keys(ENTITIES).some((name) => !cursor[name].done && cursor[name].ts < cutoff);
+};
+
+const changedSince = (position) => {
+  if (!position) {
+    return {};
+  }
+  if (!position.id) {
+    return { updatedAt: { $gte: position.ts } };
+  }
+  return {
+    $or: [{ updatedAt: { $gt: position.ts } }, { updatedAt: position.ts, _id: { $gt: position.id } }],
+  };
+};
+
+const findChanges = async ({ Model, scope }, user, position, full) => {
+  if (position && position.done) {
+    return { docs: [], hasMore: false };
+  }
+
+  const conditions = [scope(user), changedSince(position)];
+  if (full) {
+    conditions.push({ deletedAt: null });
+  }
+
+  const docs = await Model.find({ $and: conditions })
+    .setOptions({ withDeleted: true })
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(SYNC_PAGE_SIZE + 1);
+
+  const hasMore = docs.length > SYNC_PAGE_SIZE;
+  return { docs: hasMore ? docs.slice(0, SYNC_PAGE_SIZE) : docs, hasMore };
+};
+
+const buildTombstone = (doc) => ({ id: doc._id, deletedAt: doc.deletedAt, version: doc.version });
+
+const splitChanges = async (docs, buildRecord) => {
+  const updated = [];
+  const deleted = [];
+  for (const doc of docs) {
+    if (doc.deletedAt) {
+      deleted.push(buildTombstone(doc));
+    } else {
+      updated.push(await buildRecord(doc));
+    }
+  }
+  return { updated, deleted };
+};
+
+const nextPosition = (page) => {
+  if (page.hasMore) {
+    const last = page.docs[page.docs.length - 1];
+    return { ts: last.updatedAt.toISOString(), id: String(last._id) };
+  }
+  return { done: true };
+};
+
+// Returns one page of changes per entity since `cursorValue`, or everything when no
+// cursor is given. Keep pulling with `cursor` while `hasMore` is true; the final page's
+// cursor is the one to store for the next sync.
+const pullChanges = async (user, cursorValue) => {
+  const now = new Date();
+  let cursor = startFullSync();
+  let reset = false;
+
+  if (cursorValue) {
+    const decoded = decodeSyncCursor(cursorValue);
+    if (!decoded) {
+      return { error: 'Invalid cursor provided' };
+    }
+    reset = isStale(decoded, now);
+    cursor = reset ? cursor : decoded;
+  }
+
+  const converter = createRateConverter();
+  const buildRecord = {
+    goals: (goal) => buildGoalResponseForUser(goal, user, converter),
+    transactions: (transaction) => buildTransactionResponse(transaction),
+  };
+
+  const changes = {};
+  const positions = {};
+  for (const [name, entity] of Object.entries(ENTITIES)) {
+    const page = await findChanges(entity, user, cursor[name], cursor.full);
+    changes[name] = await splitChanges(page.docs, buildRecord[name]);
+    positions[name] = nextPosition(page);
+  }
+
+  const since = cursor.since || now;
+  const hasMore = Object.values(positions).some((position) => !position.done);
+  const restartAt = new Date(since.getTime() - SYNC_OVERLAP_MS).toISOString();
+  const next = hasMore
+    ? { since: since.toISOString(), full: cursor.full, ...positions }
+    : {
+        full: false,
+        ...Object.fromEntries(Object.keys(ENTITIES).map((name) => [name, { ts: restartAt }])),
+      };
+
+  const result = { cursor: encodeSyncCursor(next), hasMore, reset, ...changes, serverTime: now };
+
+  // Goals shared with the user disappear without a tombstone when access is removed, so
+  // the last page lists every goal the user can still see.
+  if (!hasMore) {
+    result.goalIds = await Goal.distinct('_id', goalAccessFilter(user._id));
+  }
+  return result;
+};
+
+module.exports = {
+  SYNC_PAGE_SIZE,
+  buildTombstone,
+  pullChanges,
+};
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const Transaction = require('../models/Transaction');
+const { goalAccessFilter, getGoalRole } = require('./goalAccess');
+const goalPayload = require('./goalPayload');
+const transactionPayload = require('./transactionPayload');
+const { usesBaseAmountFields, assignBaseAmount, applyBaseAmount, createRateConverter } = require('./currency');
+const { applyAutoSaveRules, syncLinkedContributions } = require('./goalFunding');
+const { snapshotTransaction, recordTransactionChange, captureGoal, recordGoalChange } = require('./audit');
+const { trashTransaction, trashGoal } = require('./trash');
+const { buildTombstone } = require('./sync');
+const { categorizePayload, isManualRecategorization, learnFromRecategorization } = require('./categoryRules');
+
+// Offline edits are replayed here in the order the client made them. Each mutation is
+// settled on its own: `applied`, `conflict` (the server copy moved on; it is returned so
+// the client can merge) or `rejected` (the mutation itself is invalid).
+const MAX_SYNC_MUTATIONS = 200;
+
+class MutationRejected extends Error {}
+
+const reject = (message) => {
+  throw new MutationRejected(message);
+};
+
+const conflict = (reason, server) => ({ status: 'conflict', reason, server });
+
+const applied = (record) => ({ status: 'applied', record });
+
+const requireData = (mutation) => {
+  if (!mutation.data || typeof mutation.data !== 'object' || Array.isArray(mutation.data)) {
+    reject('data is required for create and update');
+  }
+  return mutation.data;
+};
+
+// Loads the document the mutation was based on, trashed ones included, and reports a
+// conflict when it is gone or has changed since the client last saw it.
+const checkBase = async (doc, mutation, buildRecord) => {
+  if (!doc) {
+    return conflict('not_found', null);
+  }
+  if (doc.deletedAt) {
+    return mutation.op === 'delete' ? applied(buildTombstone(doc)) : conflict('deleted', buildTombstone(doc));
+  }
+  if (doc.version !== mutation.baseVersion) {
+    return conflict('version_mismatch', await buildRecord(doc));
+  }
+  return null;
+};
+
+// Called when a guarded save lost a race: reports whatever the document looks like now.
+const reloadConflict = async (load, mutation, buildRecord) => {
+  const doc = await load();
+  return (await checkBase(doc, mutation, buildRecord)) || conflict('version_mismatch', await buildRecord(doc));
+};
+
+// Writes the pending changes of `doc` in one update that only matches while the stored
+// copy is still at `baseVersion`. Returns the updated document, or null when another
+// request changed or trashed it after the check.
+const updateAtVersion = async (doc, baseVersion) => {
+  await doc.validate();
+  const changes = doc.getChanges();
+  return doc.constructor.findOneAndUpdate(
+    { _id: doc._id, version: baseVersion, deletedAt: null },
+    { ...changes, $inc: { ...changes.$inc, version: 1 } },
+    { new: true }
+  );
+};
+
+const createTransaction = async (mutation, user, auditContext) => {
+  const existing = await Transaction.findById(mutation.id).setOptions({ withDeleted: true });
+  if (existing) {
+    if (String(existing.user) !== String(user._id)) {
+      reject('id is already in use');
+    }
+    // A replay of a create whose response never reached the client.
+    return applied(transactionPayload.buildTransactionResponse(existing));
+  }
+
+  const payload = transactionPayload.sanitizePayload(requireData(mutation));
+  const validationError = transactionPayload.normalizeTransactionPayload(payload, { requireNameAndAmount: true });
+  if (validationError) {
+    reject(validationError);
+  }
+
+  await categorizePayload(user._id, payload);
+  await applyBaseAmount(payload, user.baseCurrency);
+  const transaction = await Transaction.create({ ...payload, _id: mutation.id, user: user._id });
+  await recordTransactionChange(auditContext, transaction);
+  await applyAutoSaveRules(transaction, auditContext);
+  return applied(transactionPayload.buildTransactionResponse(transaction));
+};
+
+const changeTransaction = async (mutation, user, auditContext) => {
+  const { buildTransactionResponse } = transactionPayload;
+  const load = () =>
+    Transaction.findOne({ _id: mutation.id, user: user._id }).setOptions({ withDeleted: true });
+
+  const transaction = await load();
+  const baseConflict = await checkBase(transaction, mutation, buildTransactionResponse);
+  if (baseConflict) {
+    return baseConflict;
+  }
+
+  if (mutation.op === 'delete') {
+    const trashed = await trashTransaction(transaction, auditContext, { baseVersion: mutation.baseVersion });
+    return trashed ? applied(buildTombstone(trashed)) : reloadConflict(load, mutation, buildTransactionResponse);
+  }
+
+  const payload = transactionPayload.sanitizePayload(requireData(mutation));
+  if (!Object.keys(payload).length) {
+    reject('No valid fields provided for update');
+  }
+  const validationError = transactionPayload.normalizeTransactionPayload(payload);
+  if (validationError) {
+    reject(validationError);
+  }
+
+  const before = snapshotTransaction(transaction);
+  transaction.set(payload);
+  const recategorized = isManualRecategorization(before.category, transaction);
+  if (recategorized) {
+    transaction.category_rule = null;
+  }
+  if (usesBaseAmountFields(Object.keys(payload))) {
+    await assignBaseAmount(transaction, user.baseCurrency);
+  }
+
+  const updated = await updateAtVersion(transaction, mutation.baseVersion);
+  if (!updated) {
+    return reloadConflict(load, mutation, buildTransactionResponse);
+  }
+
+  await recordTransactionChange(auditContext, updated, { before });
+  await syncLinkedContributions(updated, auditContext);
+  if (recategorized) {
+    await learnFromRecategorization(updated);
+  }
+  return applied(buildTransactionResponse(updated));
+};
+
+const createGoal = async (mutation, user, auditContext, buildRecord) => {
+  const existing = await Goal.findById(mutation.id).setOptions({ withDeleted: true });
+  if (existing) {
+    if (String(existing.user) !== String(user._id)) {
+      reject('id is already in use');
+    }
+    return applied(await buildRecord(existing));
+  }
+
+  const payload = goalPayload.sanitizePayload(requireData(mutation));
+  const validationError = goalPayload.normalizeGoalPayload(payload);
+  if (validationError) {
+    reject(validationError);
+  }
+
+  const goal = goalPayload.applyGoalPayload(
+    new Goal({ _id: mutation.id, user: user._id, currency: user.baseCurrency }),
+    payload
+  );
+  await goal.save();
+  await recordGoalChange(auditContext, goal);
+  return applied(await buildRecord(goal));
+};
+
+const changeGoal = async (mutation, user, auditContext, buildRecord) => {
+  const load = () =>
+    Goal.findOne({ _id: mutation.id, ...goalAccessFilter(user._id) }).setOptions({ withDeleted: true });
+
+  const goal = await load();
+  if (goal && getGoalRole(goal, user._id) !== 'owner') {
+    reject(`Only the goal owner can ${mutation.op} this goal`);
+  }
+
+  const baseConflict = await checkBase(goal, mutation, buildRecord);
+  if (baseConflict) {
+    return baseConflict;
+  }
+
+  if (mutation.op === 'delete') {
+    const trashed = await trashGoal(goal, auditContext, { baseVersion: mutation.baseVersion });
+    return trashed ? applied(buildTombstone(trashed)) : reloadConflict(load, mutation, buildRecord);
+  }
+
+  const payload = goalPayload.sanitizePayload(requireData(mutation));
+  if (!Object.keys(payload).length) {
+    reject('No valid fields provided for update');
+  }
+  const validationError = goalPayload.normalizeGoalPayload(payload, goal);
+  if (validationError) {
+    reject(validationError);
+  }
+
+  const before = captureGoal(goal);
+  goalPayload.applyGoalPayload(goal, payload);
+  // Save middleware does not run for update queries.
+  goal.refreshProgress();
+  const updated = await updateAtVersion(goal, mutation.baseVersion);
+  if (!updated) {
+    return reloadConflict(load, mutation, buildRecord);
+  }
+
+  goal.announceMilestones();
+  await recordGoalChange(auditContext, updated, { before });
+  return applied(await buildRecord(updated));
+};
+
+const HANDLERS = {
+  transaction: { create: createTransaction, update: changeTransaction, delete: changeTransaction },
+  goal: { create: createGoal, update: changeGoal, delete: changeGoal },
+};
+
+const applyMutation = async (mutation, user, auditContext, buildGoalRecord) => {
+  if (mutation.op !== 'create' && !Number.isInteger(mutation.baseVersion)) {
+    reject('baseVersion is required for update and delete');
+  }
+  return HANDLERS[mutation.entity][mutation.op](mutation, user, auditContext, buildGoalRecord);
+};
+
+const describeFailure = (error) => {
+  if (error instanceof MutationRejected) {
+    return error.message;
+  }
+  if (error && error.code === 11000) {
+    return error.keyPattern && error.keyPattern.reference_id
+      ? 'A transaction with this reference_id already exists'
+      : 'id is already in use';
+  }
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return error.message;
+  }
+  return null;
+};
+
+// Mutations run one at a time so a later one can build on an earlier one in the batch
+// (create, then update with baseVersion 1). Unexpected errors still fail the request.
+const applyMutations = async (mutations, user, auditContext) => {
+  const converter = createRateConverter();
+  const buildGoalRecord = (goal) => goalPayload.buildGoalResponseForUser(goal, user, converter);
+  const results = [];
+  for (const mutation of mutations) {
+    const base = { mutationId: mutation.mutationId, entity: mutation.entity, op: mutation.op, id: mutation.id };
+    try {
+      results.push({ ...base, ...(await applyMutation(mutation, user, auditContext, buildGoalRecord)) });
+    } catch (error) {
+      const message = describeFailure(error);
+      if (!message) {
+        throw error;
+      }
+      results.push({ ...base, status: 'rejected', message });
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  MAX_SYNC_MUTATIONS,
+  applyMutations,
+};
@@ -0,0 +1,119 @@
+const Transaction = require('../models/Transaction');
+const { escapeRegex } = require('./transactionQuery');
+const { parsePositiveNumber } = require('./common');
+const { DEFAULT_CURRENCY } = require('./currency');
+
+const DUPLICATE_WINDOW_MINUTES = parsePositiveNumber(process.env.DUPLICATE_WINDOW_MINUTES, 5);
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const readIdempotencyKey = (req) => {
+  const value = req.get('Idempotency-Key');
+  if (typeof value === 'undefined') {
+    return { key: null };
+  }
+
+  const key = value.trim();
+  if (!key.length || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be between 1 and ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+  }
+  return { key };
+};
+
+// An SMS without a date of its own is dated when it arrives, so a retry is recognised by
+// its body rather than its date.
+const matchesPayload = (transaction, payload) => {
+  if (transaction.amount !== payload.amount || transaction.name !== payload.name) {
+    return false;
+  }
+  if (payload.sms_body) {
+    return transaction.sms_body === payload.sms_body;
+  }
+  return (
+    !payload.transaction_date ||
+    (transaction.transaction_date instanceof Date &&
+      transaction.transaction_date.getTime() === payload.transaction_date.getTime())
+  );
+};
+
+// Key and reference lookups include trashed transactions: their unique indexes still
+// cover them, so replaying the same SMS or request should not recreate a deleted entry.
+// A key reused with a different transaction is flagged as a `conflict` for the caller to reject.
+const findDuplicateTransaction = async (userId, payload, idempotencyKey) => {
+  if (idempotencyKey) {
+    const existing = await Transaction.findOne({ user: userId, idempotency_key: idempotencyKey }).setOptions({
+      withDeleted: true,
+    });
+    if (existing) {
+      return { transaction: existing, reason: 'idempotency_key', conflict: !matchesPayload(existing, payload) };
+    }
+  }
+
+  if (payload.reference_id) {
+    const existing = await Transaction.findOne({ user: userId, reference_id: payload.reference_id }).setOptions({
+      withDeleted: true,
+    });
+    if (existing) {
+      return { transaction: existing, reason: 'reference_id' };
+    }
+  }
+
+  // A transaction with its own reference is distinct from every transaction with another
+  // reference, however similar they look.
+  if (!payload.reference_id && payload.name && typeof payload.amount === 'number') {
+    const transactionDate = payload.transaction_date || new Date();
+    const windowMs = DUPLICATE_WINDOW_MINUTES * 60 * 1000;
+    // Rows saved before currencies were tracked have none and count as the default currency.
+    const currency = payload.currency || DEFAULT_CURRENCY;
+    const filter = {
+      user: userId,
+      amount: payload.amount,
+      name: new RegExp(`^${escapeRegex(payload.name)}$`, 'i'),
+      currency: currency === DEFAULT_CURRENCY ? { $in: [currency, null] } : currency,
+      transaction_date: {
+        $gte: new Date(transactionDate.getTime() - windowMs),
+        $lte: new Date(transactionDate.getTime() + windowMs),
+      },
+    };
+
+    if (payload.type) {
+      filter.type = payload.type;
+    }
+
+    const existing = await Transaction.findOne(filter).sort({ createdAt: 1 });
+    if (existing) {
+      return { transaction: existing, reason: 'similar_transaction' };
+    }
+  }
+
+  return null;
+};
+
+const createTransactionOnce = async (userId, payload, idempotencyKey) => {
+  const duplicate = await findDuplicateTransaction(userId, payload, idempotencyKey);
+  if (duplicate) {
+    return { ...duplicate, duplicate: true };
+  }
+
+  try {
+    const transaction = await Transaction.create({
+      user: userId,
+      ...payload,
+      ...(idempotencyKey ? { idempotency_key: idempotencyKey } : {}),
+    });
+    return { transaction, duplicate: false };
+  } catch (error) {
+    if (error && error.code === 11000) {
+      const raced = await findDuplicateTransaction(userId, payload, idempotencyKey);
+      if (raced) {
+        return { ...raced, duplicate: true };
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  readIdempotencyKey,
+  findDuplicateTransaction,
+  createTransactionOnce,
+};
@@ -0,0 +1,145 @@
+const Transaction = require('../models/Transaction');
+const { normalizeCurrency } = require('./currency');
+
+const allowedFields = [
+  'name',
+  'amount',
+  'currency',
+  'type',
+  'category',
+  'tags',
+  'transaction_date',
+  'note',
+  'payment_method',
+  'reference_id',
+  'source',
+  'sms_body',
+  'is_auto',
+];
+
+const sanitizePayload = (payload = {}) =>
+  allowedFields.reduce((acc, field) => {
+    if (typeof payload[field] !== 'undefined') {
+      acc[field] = payload[field];
+    }
+    return acc;
+  }, {});
+
+const normalizeAmount = (value) => {
+  const numeric = Number(value);
+  if (Number.isNaN(numeric)) {
+    return null;
+  }
+  return numeric;
+};
+
+const TRANSACTION_TYPES = Transaction.schema.path('type').enumValues;
+
+// Trimmed, without blanks or repeats; null when `tags` is not an array of strings.
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+    return null;
+  }
+  return [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))];
+};
+
+const normalizeTransactionDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date;
+};
+
+const normalizeTransactionPayload = (payload, { requireNameAndAmount = false } = {}) => {
+  if (requireNameAndAmount) {
+    if (!payload.name || typeof payload.amount === 'undefined') {
+      return 'Name and amount are required';
+    }
+  }
+
+  if (payload.name) {
+    payload.name = payload.name.trim();
+    if (!payload.name.length) {
+      return 'Name cannot be empty';
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload, 'amount')) {
+    const normalizedAmount = normalizeAmount(payload.amount);
+    if (normalizedAmount === null || normalizedAmount < 0) {
+      return 'Amount must be a non-negative number';
+    }
+    payload.amount = normalizedAmount;
+  }
+
+  // An empty reference would collide with other empty references in the unique index.
+  if (typeof payload.reference_id === 'string') {
+    payload.reference_id = payload.reference_id.trim() || undefined;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload, 'currency')) {
+    const currency = normalizeCurrency(payload.currency);
+    if (!currency) {
+      return 'Currency must be a 3-letter ISO code';
+    }
+    payload.currency = currency;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload, 'type')) {
+    payload.type = typeof payload.type === 'string' ? payload.type.trim().toLowerCase() : payload.type;
+    if (!TRANSACTION_TYPES.includes(payload.type)) {
+      return `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload, 'tags')) {
+    const tags = normalizeTags(payload.tags);
+    if (!tags) {
+      return 'tags must be an array of strings';
+    }
+    payload.tags = tags;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload, 'transaction_date')) {
+    const normalizedDate = normalizeTransactionDate(payload.transaction_date);
+    if (normalizedDate === null) {
+      return 'Invalid transaction_date provided';
+    }
+    payload.transaction_date = normalizedDate;
+  }
+
+  return null;
+};
+
+const buildTransactionResponse = (transaction) => ({
+  id: transaction._id,
+  name: transaction.name,
+  amount: transaction.amount,
+  currency: transaction.currency,
+  base_amount: transaction.base_amount,
+  type: transaction.type,
+  category: transaction.category,
+  category_rule: transaction.category_rule || null,
+  tags: transaction.tags,
+  transaction_date: transaction.transaction_date,
+  note: transaction.note,
+  payment_method: transaction.payment_method,
+  reference_id: transaction.reference_id,
+  source: transaction.source,
+  sms_body: transaction.sms_body,
+  is_auto: transaction.is_auto,
+  deletedAt: transaction.deletedAt || null,
+  version: transaction.version,
+  createdAt: transaction.createdAt,
+  updatedAt: transaction.updatedAt,
+});
+
+module.exports = {
+  TRANSACTION_TYPES,
+  sanitizePayload,
+  normalizeAmount,
+  normalizeTags,
+  normalizeTransactionPayload,
+  buildTransactionResponse,
+};
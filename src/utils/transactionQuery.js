@@ -0,0 +1,170 @@
+const { encodeCursor, decodeCursor } = require('./common');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// What counts as spending everywhere: debits, plus transactions saved before `type`
+// existed, which were all debits.
+const SPENDING_FILTER = { type: { $in: ['debit', null] } };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseList = (value) => {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map((entry) => String(entry).trim()).filter(Boolean);
+};
+
+const parseQueryDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseQueryNumber = (value) => {
+  const numeric = Number(value);
+  return value === '' || !Number.isFinite(numeric) ? null : numeric;
+};
+
+const parseQueryBoolean = (value) => {
+  if (value === true || value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === '0') {
+    return false;
+  }
+  return null;
+};
+
+const applyListFilter = (filter, field, value) => {
+  const values = parseList(value);
+  if (values.length) {
+    filter[field] = values.length === 1 ? values[0] : { $in: values };
+  }
+};
+
+const buildTransactionFilter = (userId, query = {}) => {
+  const filter = { user: userId };
+
+  if (query.from || query.to) {
+    filter.transaction_date = {};
+
+    if (query.from) {
+      const from = parseQueryDate(query.from);
+      if (!from) {
+        return { error: 'Invalid from date provided' };
+      }
+      filter.transaction_date.$gte = from;
+    }
+
+    if (query.to) {
+      const to = parseQueryDate(query.to);
+      if (!to) {
+        return { error: 'Invalid to date provided' };
+      }
+      filter.transaction_date.$lte = to;
+    }
+  }
+
+  if (typeof query.type !== 'undefined') {
+    applyListFilter(filter, 'type', query.type);
+  }
+
+  if (typeof query.category !== 'undefined') {
+    applyListFilter(filter, 'category', query.category);
+  }
+
+  if (typeof query.payment_method !== 'undefined') {
+    applyListFilter(filter, 'payment_method', query.payment_method);
+  }
+
+  if (typeof query.source !== 'undefined') {
+    applyListFilter(filter, 'source', query.source);
+  }
+
+  if (typeof query.is_auto !== 'undefined') {
+    const isAuto = parseQueryBoolean(query.is_auto);
+    if (isAuto === null) {
+      return { error: 'is_auto must be true or false' };
+    }
+    filter.is_auto = isAuto;
+  }
+
+  if (typeof query.min_amount !== 'undefined' || typeof query.max_amount !== 'undefined') {
+    filter.amount = {};
+
+    if (typeof query.min_amount !== 'undefined') {
+      const min = parseQueryNumber(query.min_amount);
+      if (min === null) {
+        return { error: 'min_amount must be a number' };
+      }
+      filter.amount.$gte = min;
+    }
+
+    if (typeof query.max_amount !== 'undefined') {
+      const max = parseQueryNumber(query.max_amount);
+      if (max === null) {
+        return { error: 'max_amount must be a number' };
+      }
+      filter.amount.$lte = max;
+    }
+  }
+
+  if (typeof query.q === 'string' && query.q.trim()) {
+    const pattern = new RegExp(escapeRegex(query.q.trim()), 'i');
+    filter.$or = [{ name: pattern }, { note: pattern }, { sms_body: pattern }];
+  }
+
+  return { filter };
+};
+
+const parseLimit = (value) => (typeof value === 'undefined' ? DEFAULT_LIMIT : Math.min(Number(value), MAX_LIMIT));
+
+const TRANSACTION_SORT = { transaction_date: -1, _id: -1 };
+
+const applyCursor = (filter, cursor) => ({
+  $and: [
+    filter,
+    {
+      $or: [
+        { transaction_date: { $lt: cursor.date } },
+        { transaction_date: cursor.date, _id: { $lt: cursor.id } },
+      ],
+    },
+  ],
+});
+
+const paginateTransactions = async (Transaction, filter, query = {}) => {
+  const limit = parseLimit(query.limit);
+  let pageFilter = filter;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor provided' };
+    }
+    pageFilter = applyCursor(filter, cursor);
+  }
+
+  const [transactions, total] = await Promise.all([
+    Transaction.find(pageFilter).sort(TRANSACTION_SORT).limit(limit + 1),
+    Transaction.countDocuments(filter),
+  ]);
+
+  const hasMore = transactions.length > limit;
+  const page = hasMore ? transactions.slice(0, limit) : transactions;
+
+  return {
+    transactions: page,
+    total,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'transaction_date') : null,
+  };
+};
+
+module.exports = {
+  SPENDING_FILTER,
+  TRANSACTION_SORT,
+  escapeRegex,
+  parseQueryDate,
+  parseQueryBoolean,
+  buildTransactionFilter,
+  paginateTransactions,
+};
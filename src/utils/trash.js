@@ -0,0 +1,98 @@
+const Goal = require('../models/Goal');
+const Transaction = require('../models/Transaction');
+const { snapshotTransaction, recordTransactionChange, captureGoal, recordGoalChange } = require('./audit');
+const { findLinkedContributions, removeLinkedContributions } = require('./goalFunding');
+const { DAY_IN_MS, parsePositiveNumber, encodeCursor, decodeCursor } = require('./common');
+
+const TRASH_RETENTION_DAYS = parsePositiveNumber(process.env.TRASH_RETENTION_DAYS, 30);
+const DEFAULT_TRASH_LIMIT = 50;
+const MAX_TRASH_LIMIT = 200;
+
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_IN_MS);
+
+const getPurgeCutoff = (now = new Date()) => new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_IN_MS);
+
+// Most recently trashed first. `filter` scopes the owner; the deletedAt condition is
+// what lets the soft-delete plugin return trashed documents.
+const findTrashPage = async (Model, filter, query = {}) => {
+  const limit = typeof query.limit === 'undefined' ? DEFAULT_TRASH_LIMIT : Number(query.limit);
+
+  let deletedAt = { $ne: null };
+  let tieBreak = null;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor provided' };
+    }
+    deletedAt = { $lte: cursor.date };
+    tieBreak = { $or: [{ deletedAt: { $lt: cursor.date } }, { deletedAt: cursor.date, _id: { $lt: cursor.id } }] };
+  }
+
+  const pageSize = Math.min(limit, MAX_TRASH_LIMIT);
+  const docs = await Model.find({ ...filter, deletedAt, ...(tieBreak || {}) })
+    .sort({ deletedAt: -1, _id: -1 })
+    .limit(pageSize + 1);
+
+  const hasMore = docs.length > pageSize;
+  const page = hasMore ? docs.slice(0, pageSize) : docs;
+
+  return {
+    items: page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'deletedAt') : null,
+  };
+};
+
+// Trashing is a single update that only matches a copy that is not trashed yet and, when
+// `baseVersion` is given (sync deletes), is still at that version.
+const trashFilter = (doc, baseVersion) => ({
+  _id: doc._id,
+  deletedAt: null,
+  ...(typeof baseVersion === 'number' ? { version: baseVersion } : {}),
+});
+
+// Returns the trashed transaction, or null when the filter no longer matched. Linked
+// contributions are stashed on the transaction by the same update, then taken off their
+// goals, so a restore can put them back.
+const trashTransaction = async (transaction, auditContext, { baseVersion } = {}) => {
+  const before = snapshotTransaction(transaction);
+  const linked = await findLinkedContributions(transaction._id);
+
+  const trashed = await Transaction.findOneAndUpdate(
+    trashFilter(transaction, baseVersion),
+    { $set: { deletedAt: new Date(), trashedContributions: linked }, $inc: { version: 1 } },
+    { new: true }
+  );
+  if (!trashed) {
+    return null;
+  }
+
+  await removeLinkedContributions(linked, auditContext);
+  await recordTransactionChange(auditContext, trashed, { before, action: 'delete' });
+  return trashed;
+};
+
+const trashGoal = async (goal, auditContext, { baseVersion } = {}) => {
+  const before = captureGoal(goal);
+
+  const trashed = await Goal.findOneAndUpdate(
+    trashFilter(goal, baseVersion),
+    { $set: { deletedAt: new Date() }, $inc: { version: 1 } },
+    { new: true }
+  );
+  if (!trashed) {
+    return null;
+  }
+
+  await recordGoalChange(auditContext, trashed, { before, action: 'delete' });
+  return trashed;
+};
+
+module.exports = {
+  trashTransaction,
+  trashGoal,
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  getPurgeCutoff,
+  findTrashPage,
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./authTokens');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+
+// Challenges are signed with a derived secret so they can never pass as access tokens.
+const getChallengeSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('Missing JWT_SECRET in environment variables');
+  }
+  return `${process.env.JWT_SECRET}:two-factor-challenge`;
+};
+
+const signChallenge = (userId) =>
+  jwt.sign({ id: userId }, getChallengeSecret(), { expiresIn: CHALLENGE_EXPIRES_IN });
+
+const verifyChallenge = (challengeToken) => {
+  try {
+    return jwt.verify(challengeToken, getChallengeSecret()).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map((code) => ({ hash: hashToken(normalizeRecoveryCode(code)) })),
+  };
+};
+
+const countRemainingRecoveryCodes = (user) =>
+  (user.twoFactor.recoveryCodes || []).filter((entry) => !entry.usedAt).length;
+
+// Checks a TOTP code (rejecting a step that was already used) or burns a recovery code.
+// Mutates the user; callers save it when this returns a method.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const counter = verifyCode(user.twoFactor.secret, code);
+    if (counter === null || counter <= (user.twoFactor.lastUsedCounter || 0)) {
+      return null;
+    }
+    user.twoFactor.lastUsedCounter = counter;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const entry = user.twoFactor.recoveryCodes.find((candidate) => candidate.hash === hash && !candidate.usedAt);
+    if (!entry) {
+      return null;
+    }
+    entry.usedAt = new Date();
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+module.exports = {
+  signChallenge,
+  verifyChallenge,
+  generateRecoveryCodes,
+  countRemainingRecoveryCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const { AppError } = require('./errors');
+const { parseQueryBoolean } = require('./transactionQuery');
+
+// Declarative request validation. A route schema maps `params`, `query` and `body`
+// to field rules such as `{ type: 'number', required: true, min: 0 }`. The schema is
+// kept on the middleware (`middleware.schema`) so other tooling can read it. Query
+// fields marked `list: true` take comma-separated values and may also be repeated, in
+// which case they arrive as an array and every value is checked.
+const LOCATIONS = ['params', 'query', 'body'];
+
+const isMissing = (value) => typeof value === 'undefined' || value === '';
+
+const detail = (field, location, code, message) => ({ field, location, code, message });
+
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return Number(value);
+  }
+  return NaN;
+};
+
+const checkString = (value, rule, field) => {
+  if (typeof value !== 'string') {
+    return ['invalid_type', `${field} must be a string`];
+  }
+  const length = value.trim().length;
+  if (typeof rule.minLength === 'number' && length < rule.minLength) {
+    return ['too_short', `${field} must be at least ${rule.minLength} characters`];
+  }
+  if (typeof rule.maxLength === 'number' && length > rule.maxLength) {
+    return ['too_long', `${field} must be at most ${rule.maxLength} characters`];
+  }
+  if (rule.pattern && !rule.pattern.test(value.trim())) {
+    return ['invalid_format', rule.patternMessage || `${field} has an invalid format`];
+  }
+  return null;
+};
+
+const checkNumber = (value, rule, field) => {
+  const numeric = toNumber(value);
+  if (!Number.isFinite(numeric)) {
+    return ['invalid_type', `${field} must be a number`];
+  }
+  if (rule.type === 'integer' && !Number.isInteger(numeric)) {
+    return ['invalid_type', `${field} must be an integer`];
+  }
+  if (typeof rule.min === 'number' && numeric < rule.min) {
+    return ['too_small', `${field} must be at least ${rule.min}`];
+  }
+  if (typeof rule.exclusiveMin === 'number' && numeric <= rule.exclusiveMin) {
+    return ['too_small', `${field} must be greater than ${rule.exclusiveMin}`];
+  }
+  if (typeof rule.max === 'number' && numeric > rule.max) {
+    return ['too_large', `${field} must be at most ${rule.max}`];
+  }
+  return null;
+};
+
+const checkers = {
+  string: checkString,
+  number: checkNumber,
+  integer: checkNumber,
+  boolean: (value, rule, field) =>
+    parseQueryBoolean(value) === null ? ['invalid_type', `${field} must be true or false`] : null,
+  date: (value, rule, field) =>
+    (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime())
+      ? null
+      : ['invalid_type', `${field} must be a valid date`],
+  objectId: (value, rule, field) =>
+    typeof value === 'string' && mongoose.isValidObjectId(value) && /^[a-f0-9]{24}$/i.test(value)
+      ? null
+      : ['invalid_object_id', `${field} must be a valid id`],
+  array: (value, rule, field) => {
+    if (!Array.isArray(value)) {
+      return ['invalid_type', `${field} must be an array`];
+    }
+    if (typeof rule.minItems === 'number' && value.length < rule.minItems) {
+      return ['too_short', `${field} must contain at least ${rule.minItems} item(s)`];
+    }
+    if (typeof rule.maxItems === 'number' && value.length > rule.maxItems) {
+      return ['too_long', `${field} must contain at most ${rule.maxItems} items`];
+    }
+    return null;
+  },
+  object: (value, rule, field) =>
+    value && typeof value === 'object' && !Array.isArray(value) ? null : ['invalid_type', `${field} must be an object`],
+};
+
+const validateValue = (value, rule, field, location, details) => {
+  if (value === null) {
+    if (!rule.nullable) {
+      details.push(detail(field, location, 'invalid_type', `${field} cannot be null`));
+    }
+    return;
+  }
+
+  if (rule.list && Array.isArray(value)) {
+    const itemRule = { ...rule, list: false };
+    value.forEach((item, index) => validateValue(item, itemRule, `${field}[${index}]`, location, details));
+    return;
+  }
+
+  if (rule.enum) {
+    const candidate = typeof value === 'string' && rule.caseInsensitive ? value.trim().toLowerCase() : value;
+    if (!rule.enum.includes(candidate)) {
+      details.push(detail(field, location, 'invalid_enum', `${field} must be one of: ${rule.enum.join(', ')}`));
+    }
+    return;
+  }
+
+  const failure = checkers[rule.type](value, rule, field);
+  if (failure) {
+    details.push(detail(field, location, failure[0], failure[1]));
+    return;
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    value.forEach((item, index) => validateValue(item, rule.items, `${field}[${index}]`, location, details));
+  }
+
+  if (rule.type === 'object' && rule.properties) {
+    // Nested fields are reported with dotted paths, e.g. `mapping.amount`.
+    validateFields(rule.properties, value, location, details, `${field}.`);
+  }
+};
+
+const validateFields = (fields, source, location, details, prefix = '') => {
+  Object.entries(fields).forEach(([name, rule]) => {
+    const value = source[name];
+    const field = `${prefix}${name}`;
+
+    if (isMissing(value)) {
+      if (rule.required) {
+        details.push(detail(field, location, 'required', `${field} is required`));
+      }
+      return;
+    }
+
+    validateValue(value, rule, field, location, details);
+  });
+};
+
+// Numeric and boolean strings in JSON bodies are converted so controllers see numbers
+// and booleans, nested objects included.
+const coerceBody = (fields, body) => {
+  Object.entries(fields).forEach(([name, rule]) => {
+    const value = body[name];
+    if ((rule.type === 'number' || rule.type === 'integer') && typeof value === 'string' && value.trim()) {
+      body[name] = Number(value);
+    } else if (rule.type === 'boolean' && typeof value === 'string') {
+      body[name] = parseQueryBoolean(value);
+    } else if (rule.type === 'object' && rule.properties && value && typeof value === 'object') {
+      coerceBody(rule.properties, value);
+    }
+  });
+};
+
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    LOCATIONS.forEach((location) => {
+      if (!schema[location]) {
+        return;
+      }
+
+      const source = req[location] || {};
+      if (location === 'body' && (typeof source !== 'object' || Array.isArray(source))) {
+        details.push(detail('body', location, 'invalid_type', 'Request body must be a JSON object'));
+        return;
+      }
+
+      validateFields(schema[location], source, location, details);
+    });
+
+    if (details.length) {
+      return next(new AppError(400, 'Request validation failed', { code: 'VALIDATION_FAILED', details }));
+    }
+
+    if (schema.body && req.body) {
+      coerceBody(schema.body, req.body);
+    }
+    return next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+// Copies a body schema with every field optional, for PATCH-style routes.
+const partial = (fields) =>
+  Object.fromEntries(Object.entries(fields).map(([name, rule]) => [name, { ...rule, required: false }]));
+
+module.exports = {
+  validate,
+  partial,
+};